@@ -0,0 +1,8 @@
+// api/acceptCall.js
+import { createCallActionHandler } from "../lib/callActionHandler.js";
+
+/**
+ * POST /api/acceptCall { channelName, callId }
+ * Recipient answers a ringing call.
+ */
+export default createCallActionHandler("accept");
@@ -0,0 +1,164 @@
+// api/addParticipants.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { BUSY_POLICY, checkBusy } from "../lib/busy.js";
+import { partitionByRoomPermission } from "../lib/callPermissions.js";
+import {
+  getCallState,
+  isActiveParticipantState,
+  nextRingExpiry,
+  PARTICIPANT_STATES,
+  participantsOf,
+  TERMINAL_STATES,
+} from "../lib/callState.js";
+import { getUserDevices } from "../lib/devices.js";
+import { suppressionReason } from "../lib/doNotDisturb.js";
+import { handlePreflight, HttpError, sendError } from "../lib/http.js";
+import { activeParticipantCount, lookupRecipients, MAX_GROUP_PARTICIPANTS, normalizeRecipientIds, ringRecipient } from "../lib/invitations.js";
+import { log } from "../lib/log.js";
+import { sendMissedCallNotification } from "../lib/push.js";
+import { rooms } from "../lib/repositories/index.js";
+import { RING_TIMEOUT_MS, scheduleRingTimeout } from "../lib/ringTimeout.js";
+import { field, schema, validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/addParticipants
+ * Body: { channelName, recipientIds: [username, ...] }
+ *
+ * Rings more people into a call that is ringing or running. Any participant
+ * who has joined may add others; a 1:1 call becomes a group call. People
+ * already ringing or joined are skipped, and so are busy ones unless
+ * BUSY_POLICY is "waiting", and anyone the adder, the caller or a joined
+ * participant may not call (the reason is the code from
+ * lib/callPermissions.js). Those who declined, left or missed
+ * can be invited again; anyone on do-not-disturb is added as missed and only
+ * notified.
+ */
+const BODY = schema({
+  channelName: field.string({ required: true, max: 64 }),
+  recipientIds: field.array(field.string({ max: 128 }), { required: true, single: true, max: 50 }),
+  uid: field.string({ max: 128 }),
+});
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const { channelName, recipientIds, uid: claimedUid } = validateBody(req, BODY);
+    assertSameUser(auth, claimedUid);
+
+    const usernames = normalizeRecipientIds(recipientIds);
+    const recipients = (await lookupRecipients(usernames)).filter((r) => r.uid !== auth.uid);
+    // Permissions are checked against who is in the call now; the transaction
+    // below re-checks the call's state before writing.
+    const snapshot = await rooms.get(String(channelName));
+    if (!snapshot) {
+      throw new HttpError(404, "call_not_found", "Call not found");
+    }
+    const { allowed: found, denied } = await partitionByRoomPermission(snapshot, auth.uid, recipients);
+
+    const { recipientRooms } = await checkBusy({
+      callerUid: null,
+      recipientUids: found.map((r) => r.uid),
+      channelName,
+    });
+    const skipped = denied.map(({ recipient, error }) => ({ recipientId: recipient.username, reason: error.code }));
+    const candidates = [];
+    const now = Date.now();
+    found.forEach((r, i) => {
+      const callWaiting = !!recipientRooms[i] && BUSY_POLICY === "waiting";
+      if (recipientRooms[i] && !callWaiting) skipped.push({ recipientId: r.username, reason: "busy" });
+      else candidates.push({ ...r, callWaiting, suppressed: suppressionReason(r.data, auth.uid, now) });
+    });
+
+    const added = [];
+    const alreadyIn = [];
+    const room = await rooms.updateInTransaction(String(channelName), (current) => {
+      if (!current) {
+        throw new HttpError(404, "call_not_found", "Call not found");
+      }
+      const state = getCallState(current);
+      if (TERMINAL_STATES.has(state)) {
+        throw new HttpError(409, "call_not_active", `Call is ${state}`);
+      }
+
+      const participants = { ...participantsOf(current) };
+      if (participants[auth.uid]?.state !== PARTICIPANT_STATES.JOINED) {
+        throw new HttpError(403, "not_allowed", "Only a participant in the call can add others");
+      }
+
+      // Transactions may retry; start from scratch each attempt
+      added.length = 0;
+      alreadyIn.length = 0;
+      candidates.forEach((r) => {
+        if (isActiveParticipantState(participants[r.uid]?.state)) {
+          alreadyIn.push({ recipientId: r.username, reason: "already_in_call" });
+          return;
+        }
+        participants[r.uid] = {
+          username: r.username,
+          invitedAt: now,
+          invitedBy: auth.uid,
+          // Do-not-disturb: recorded as missed, notified without a ring
+          ...(r.suppressed
+            ? { state: PARTICIPANT_STATES.MISSED, missedAt: now }
+            : { state: PARTICIPANT_STATES.RINGING, ringExpiresAt: now + RING_TIMEOUT_MS }),
+        };
+        added.push(r);
+      });
+      if (!added.length) return {};
+
+      const count = Object.values(participants).filter((p) => isActiveParticipantState(p.state)).length;
+      if (count > MAX_GROUP_PARTICIPANTS) {
+        throw new HttpError(400, "too_many_participants", `A call can have at most ${MAX_GROUP_PARTICIPANTS} participants`);
+      }
+
+      const known = current.participantUids || Object.keys(participantsOf(current));
+      const invitees = current.inviteeUids || known.filter((id) => id !== current.callerUid);
+      const addedUids = added.map((r) => r.uid);
+      const suppressed = added.filter((r) => r.suppressed);
+      return {
+        isGroup: true,
+        participants,
+        nextRingExpiresAt: nextRingExpiry({ ...current, participants }),
+        participantUids: [...new Set([...known, ...addedUids])],
+        inviteeUids: [...new Set([...invitees, ...addedUids])],
+        ...(suppressed.length ? {
+          suppressed: { ...current.suppressed, ...Object.fromEntries(suppressed.map((r) => [r.uid, r.suppressed])) },
+          missedUids: [...new Set([...(current.missedUids || []), ...suppressed.map((r) => r.uid)])],
+        } : {}),
+        updatedAt: now,
+      };
+    });
+
+    const results = await Promise.all(added.map(async (recipient) => {
+      const devices = await getUserDevices(recipient.uid, recipient.data);
+      const deliveries = recipient.suppressed
+        ? await sendMissedCallNotification(devices, room, recipient.suppressed)
+        : (await ringRecipient(room, recipient, devices, { callWaiting: recipient.callWaiting })).deliveries;
+      return {
+        recipientId: recipient.username,
+        uid: recipient.uid,
+        devices: devices.length,
+        delivered: deliveries.filter((d) => d.ok).length,
+        deliveries,
+        suppressed: recipient.suppressed || null,
+      };
+    }));
+    if (added.some((r) => !r.suppressed)) scheduleRingTimeout(room.channelName, room.callId);
+    skipped.push(...alreadyIn);
+
+    log.info("Participants added", { channelName, by: auth.uid, added: added.map((r) => r.uid), skipped });
+
+    return res.status(200).json({
+      success: true,
+      channelName: room.channelName,
+      callId: room.callId,
+      participantCount: activeParticipantCount(room),
+      added: results,
+      skipped,
+    });
+  } catch (err) {
+    return sendError(res, err, "addParticipants error");
+  }
+}
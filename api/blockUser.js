@@ -0,0 +1,40 @@
+// api/blockUser.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { resolveBlockTarget } from "../lib/callPermissions.js";
+import { handlePreflight, sendError } from "../lib/http.js";
+import { log } from "../lib/log.js";
+import { users } from "../lib/repositories/index.js";
+import { field, schema, validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/blockUser
+ * Body: { targetUid } or { username }
+ *
+ * Adds the user to the caller's block list; neither side can ring the other
+ * until it is lifted with api/unblockUser. Blocking twice is a no-op.
+ */
+const BODY = schema({
+  targetUid: field.string({ max: 128 }),
+  username: field.string({ max: 128 }),
+  uid: field.string({ max: 128 }),
+}, { oneOf: [["targetUid", "username"]] });
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const body = validateBody(req, BODY);
+    assertSameUser(auth, body.uid);
+
+    const target = await resolveBlockTarget(auth.uid, body);
+    if (!(await users.isBlocked(auth.uid, target.uid))) {
+      await users.block(auth.uid, target.uid, { username: target.username || null });
+    }
+
+    log.info("User blocked", { by: auth.uid, blockedUid: target.uid });
+    return res.status(200).json({ success: true, blockedUid: target.uid, username: target.username || null });
+  } catch (err) {
+    return sendError(res, err, "blockUser error");
+  }
+}
@@ -0,0 +1,31 @@
+// api/blockedUsers.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { handlePreflight, sendError } from "../lib/http.js";
+import { users } from "../lib/repositories/index.js";
+import { field, schema, validateQuery } from "../lib/validation.js";
+
+/**
+ * GET /api/blockedUsers
+ *
+ * The authenticated user's block list, newest first:
+ * { blocked: [{ uid, username, blockedAt }] }
+ */
+const QUERY = schema({
+  uid: field.string({ max: 128 }),
+});
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "GET")) return;
+
+  try {
+    const auth = await authenticate(req);
+    assertSameUser(auth, validateQuery(req, QUERY).uid);
+
+    const blocked = await users.listBlocked(auth.uid);
+    return res.status(200).json({
+      blocked: blocked.map(({ uid, username, blockedAt }) => ({ uid, username: username || null, blockedAt })),
+    });
+  } catch (err) {
+    return sendError(res, err, "blockedUsers error");
+  }
+}
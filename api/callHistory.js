@@ -0,0 +1,39 @@
+// api/callHistory.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { countUnseenMissedCalls, getCallHistory, HISTORY_FILTERS, MAX_PAGE_SIZE } from "../lib/callHistory.js";
+import { handlePreflight, sendError } from "../lib/http.js";
+import { field, schema, validateQuery } from "../lib/validation.js";
+
+/**
+ * GET /api/callHistory?filter=all|incoming|outgoing|missed&limit=20&cursor=CHANNEL
+ *
+ * The authenticated user's calls, newest first:
+ * { calls: [{ channelName, callId, callType, direction, status, missed, seen,
+ *   startedAt, answeredAt, endedAt, durationMs, otherParty, isGroup,
+ *   participantCount }], nextCursor, missedCount }
+ */
+const QUERY = schema({
+  filter: field.string({ values: HISTORY_FILTERS }),
+  limit: field.integer({ min: 1, max: MAX_PAGE_SIZE }),
+  cursor: field.string({ max: 256 }),
+  uid: field.string({ max: 128 }),
+});
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "GET")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const { filter, limit, cursor, uid } = validateQuery(req, QUERY);
+    assertSameUser(auth, uid);
+
+    const [history, missed] = await Promise.all([
+      getCallHistory(auth.uid, { filter, limit, cursor }),
+      countUnseenMissedCalls(auth.uid),
+    ]);
+
+    return res.status(200).json({ ...history, missedCount: missed.count });
+  } catch (err) {
+    return sendError(res, err, "callHistory error");
+  }
+}
@@ -0,0 +1,8 @@
+// api/cancelCall.js
+import { createCallActionHandler } from "../lib/callActionHandler.js";
+
+/**
+ * POST /api/cancelCall { channelName, callId }
+ * Caller hangs up before the recipient answers.
+ */
+export default createCallActionHandler("cancel");
@@ -0,0 +1,8 @@
+// api/declineCall.js
+import { createCallActionHandler } from "../lib/callActionHandler.js";
+
+/**
+ * POST /api/declineCall { channelName, callId }
+ * Recipient rejects a ringing call.
+ */
+export default createCallActionHandler("decline");
@@ -0,0 +1,8 @@
+// api/endCall.js
+import { createCallActionHandler } from "../lib/callActionHandler.js";
+
+/**
+ * POST /api/endCall { channelName, callId }
+ * Either participant hangs up an accepted call.
+ */
+export default createCallActionHandler("end");
@@ -0,0 +1,28 @@
+// api/markMissedCallsSeen.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { markMissedCallsSeen } from "../lib/callHistory.js";
+import { handlePreflight, sendError } from "../lib/http.js";
+import { field, schema, validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/markMissedCallsSeen
+ *
+ * Clears the missed-call badge: every missed call so far counts as seen.
+ */
+const BODY = schema({
+  uid: field.string({ max: 128 }),
+});
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    assertSameUser(auth, validateBody(req, BODY).uid);
+
+    const missedCallsSeenAt = await markMissedCallsSeen(auth.uid);
+    return res.status(200).json({ success: true, missedCallsSeenAt, count: 0 });
+  } catch (err) {
+    return sendError(res, err, "markMissedCallsSeen error");
+  }
+}
@@ -0,0 +1,28 @@
+// api/missedCallCount.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { countUnseenMissedCalls } from "../lib/callHistory.js";
+import { handlePreflight, sendError } from "../lib/http.js";
+import { field, schema, validateQuery } from "../lib/validation.js";
+
+/**
+ * GET /api/missedCallCount
+ *
+ * Badge count: missed calls since the user last marked them seen.
+ * { count, since }
+ */
+const QUERY = schema({
+  uid: field.string({ max: 128 }),
+});
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "GET")) return;
+
+  try {
+    const auth = await authenticate(req);
+    assertSameUser(auth, validateQuery(req, QUERY).uid);
+
+    return res.status(200).json(await countUnseenMissedCalls(auth.uid));
+  } catch (err) {
+    return sendError(res, err, "missedCallCount error");
+  }
+}
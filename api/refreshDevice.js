@@ -0,0 +1,31 @@
+// api/refreshDevice.js
+import { DEVICE_BODY, refreshDevice } from "../lib/devices.js";
+import { handlePreflight, sendError } from "../lib/http.js";
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { log } from "../lib/log.js";
+import { validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/refreshDevice
+ * Body: { deviceId, fcmToken?, voipToken?, appVersion?, ... }
+ *
+ * Rotates tokens of an already registered device and bumps `lastSeenAt`.
+ * Clients call it on app start and from the token-refresh callbacks.
+ */
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const body = validateBody(req, DEVICE_BODY);
+    assertSameUser(auth, body.uid);
+    const { uid } = auth;
+
+    const device = await refreshDevice(uid, body);
+    log.info("Device refreshed", { uid, deviceId: device.id, released: device.released });
+
+    return res.status(200).json({ success: true, device });
+  } catch (err) {
+    return sendError(res, err, "refreshDevice error");
+  }
+}
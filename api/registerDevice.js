@@ -0,0 +1,31 @@
+// api/registerDevice.js
+import { DEVICE_BODY, registerDevice } from "../lib/devices.js";
+import { handlePreflight, sendError } from "../lib/http.js";
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { log } from "../lib/log.js";
+import { validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/registerDevice
+ * Body: { deviceId, platform, fcmToken, voipToken, bundleId, environment, appVersion }
+ *
+ * Creates or replaces the device entry; tokens previously held by another
+ * device or account are released from there.
+ */
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const body = validateBody(req, DEVICE_BODY);
+    assertSameUser(auth, body.uid);
+    const { uid } = auth;
+
+    const device = await registerDevice(uid, body);
+    log.info("Device registered", { uid, deviceId: device.id, platform: device.platform, released: device.released });
+
+    return res.status(200).json({ success: true, device });
+  } catch (err) {
+    return sendError(res, err, "registerDevice error");
+  }
+}
@@ -0,0 +1,72 @@
+// api/renewToken.js
+import { getAgoraConfig, TOKEN_FORMATS } from "../lib/agora.js";
+import { authenticate } from "../lib/auth.js";
+import { assertCallAccess } from "../lib/callState.js";
+import { callDeadline, issueRtcToken, resolveTokenBinding, resolveTokenFormat } from "../lib/callTokens.js";
+import { handlePreflight, HttpError, sendError } from "../lib/http.js";
+import { log } from "../lib/log.js";
+import { rooms } from "../lib/repositories/index.js";
+import { field, schema, validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/renewToken
+ * Body: { channelName, uid (optional), account (optional), format (optional) }
+ * `uid` / `account` are the Agora identity the client joined with, as in
+ * api/token; both must belong to the authenticated user.
+ *
+ * Called on Agora's onTokenPrivilegeWillExpire. Issues a fresh token for the
+ * same channel and uid while the call is still live and the user still a
+ * participant, and counts the renewal on the room under
+ * `tokenRenewals.<uid>`. Past MAX_CALL_DURATION_SECONDS renewals are refused
+ * with 409 max_duration_reached, so the media session ends with the token.
+ */
+const BODY = schema({
+  channelName: field.string({ required: true, max: 64 }),
+  uid: field.string({ numeric: true, max: 32 }),
+  account: field.string({ max: 128 }),
+  format: field.string({ values: TOKEN_FORMATS }),
+});
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const { channelName, uid, account, format: formatRaw } = validateBody(req, BODY);
+
+    const config = getAgoraConfig();
+    if (!config.appId || !config.appCert) {
+      throw new HttpError(500, "agora_not_configured", "Agora is not configured on the server");
+    }
+    const format = resolveTokenFormat(config, formatRaw);
+    const binding = resolveTokenBinding(auth.uid, { uid, account });
+
+    const now = Date.now();
+    const room = await rooms.updateInTransaction(String(channelName), (current) => {
+      assertCallAccess(current, auth.uid);
+      if (callDeadline(current) <= now) {
+        throw new HttpError(409, "max_duration_reached", "Call reached its maximum length");
+      }
+
+      const previous = current.tokenRenewals?.[auth.uid] || { count: 0 };
+      return {
+        tokenRenewals: {
+          ...(current.tokenRenewals || {}),
+          [auth.uid]: { count: previous.count + 1, lastAt: now },
+        },
+        updatedAt: now,
+      };
+    });
+
+    const renewals = room.tokenRenewals[auth.uid].count;
+    log.info("Token renewed", { channelName, uid: auth.uid, renewals });
+
+    return res.status(200).json({
+      success: true,
+      ...issueRtcToken(config, room, auth.uid, { format, binding }, now),
+      renewals,
+    });
+  } catch (err) {
+    return sendError(res, err, "renewToken error");
+  }
+}
@@ -1,292 +1,275 @@
-import { initializeApp, cert, getApps } from "firebase-admin/app";
-import { getFirestore } from "firebase-admin/firestore";
-import { getMessaging } from "firebase-admin/messaging";
-import apn from "apn";
-
-if (!getApps().length) {
-  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || "{}");
-  initializeApp({ credential: cert(serviceAccount) });
-}
-
-const db = getFirestore();
-const messaging = getMessaging();
-
-// Init APNs provider for VoIP pushes
-const apnProvider = new apn.Provider({
-  token: {
-    key: Buffer.from(process.env.APN_P8_KEY_BASE64, "base64").toString("utf8"),
-    keyId: '8C9AMXZAS5',
-    teamId:  '9XVM2G2KN9',
-  },
-  production: process.env.APN_PRODUCTION === 'true',
-});
-
-const DEFAULT_ALLOWED_ORIGINS = [
-  "https://flirtbate.web.app",
-  "https://your-app.web.app",
-  "http://localhost:3000",
-  "http://localhost:5173",
-];
-
-const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS
-  ? process.env.ALLOWED_ORIGINS.split(",").map((o) => o.trim()).filter(Boolean)
-  : DEFAULT_ALLOWED_ORIGINS
-);
-
-const DEBUG = process.env.DEBUG_CORS === "true" || true; // ✅ ALWAYS DEBUG
-
-function isLocalhostOrigin(origin) {
-  if (!origin) return false;
-  return /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
-}
-
-function buildCorsHeaders(origin, acrHeadersRaw = "") {
-  const headers = {};
-  const requested = acrHeadersRaw
-    ? acrHeadersRaw.split(",").map(h => (h || "").trim().toLowerCase()).filter(Boolean)
-    : [];
-
-  const allowedFromEnv = origin && ALLOWED_ORIGINS.includes(origin);
-  const allowLocal = isLocalhostOrigin(origin);
-
-  if (origin && (allowedFromEnv || allowLocal)) {
-    headers["Access-Control-Allow-Origin"] = origin;
-    headers["Access-Control-Allow-Credentials"] = "true";
-  } else if (!origin) {
-    headers["Access-Control-Allow-Origin"] = "*";
-  } else {
-    headers["Access-Control-Allow-Origin"] = "null";
-  }
-
-  headers["Vary"] = "Origin";
-  headers["Access-Control-Allow-Methods"] = "POST,OPTIONS";
-
-  const defaultAllowedHeaders = [
-    "content-type",
-    "authorization",
-    "x-requested-with",
-    "x-client-id",
-    "x-firebase-locale",
-    "x-vercel-protection-bypass",
-  ];
-
-  const set = new Set([
-    ...defaultAllowedHeaders.map(h => h.toLowerCase()),
-    ...requested
-  ]);
-
-  headers["Access-Control-Allow-Headers"] = Array.from(set).join(", ");
-  headers["Access-Control-Max-Age"] = "3600";
-
-  if (DEBUG) {
-    console.log("🔧 CORS build:", { origin, allowedFromEnv, allowLocal, requested, headers });
-  }
-
-  return headers;
-}
-
-function normalizeDataMap(obj) {
-  const out = {};
-  if (!obj || typeof obj !== 'object') return out;
-  Object.entries(obj).forEach(([k, v]) => {
-    if (v === null || v === undefined) return;
-    if (typeof v === 'string') out[k] = v;
-    else out[k] = typeof v === 'object' ? JSON.stringify(v) : String(v);
-  });
-  return out;
-}
-
-async function sendApnsVoipPush(voipToken, payload, callType, callerName, callId) {
-  console.log("🚀 SENDING VoIP PUSH:");
-  console.log("   Token:", voipToken ? voipToken.substring(0, 20) + "..." : "MISSING");
-  console.log("   CallId:", callId);
-  console.log("   Caller:", callerName);
-  
-  let notification = new apn.Notification();
-
-  notification.topic = `bma.agora.poc.voip`;
-  notification.pushType = "voip";
-  
-  // ✅ FIXED: Root-level CallKit fields REQUIRED by flutter_callkit_incoming
-  notification.payload = {
-    id: callId,
-    nameCaller: callerName || "Caller",
-    handle: payload.handle || callId,
-    type: payload.type || 1,
-    extra: payload.extra || {}
-  };
-
-  notification.alert = {
-    title: `${callerName || "Caller"} is calling`,
-    body: `Tap to answer ${callType || "video"} call`
-  };
-
-  notification.badge = 1;
-  notification.sound = "default";
-  notification.category = "CALL_CATEGORY";
-
-  console.log("📱 VoIP Payload:", JSON.stringify(notification.payload, null, 2));
-  console.log("📡 Topic:", notification.topic);
-
-  try {
-    const result = await apnProvider.send(notification, voipToken);
-    console.log("✅ VoIP SUCCESS:", result);
-    return result;
-  } catch (err) {
-    console.error("❌ VoIP FAILED:", err);
-    console.error("   Code:", err.status || err.code);
-    console.error("   Reason:", err.reason || err.message);
-    throw err;
-  }
-}
+// api/sendCallInvitation.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { CALL_STATES, nextRingExpiry, PARTICIPANT_STATES } from "../lib/callState.js";
+import { BUSY_POLICY, checkBusy } from "../lib/busy.js";
+import { partitionByPermission } from "../lib/callPermissions.js";
+import { getConfig } from "../lib/config.js";
+import { getUserDevices } from "../lib/devices.js";
+import { suppressionReason } from "../lib/doNotDisturb.js";
+import { errorBody, handlePreflight, HttpError, sendError } from "../lib/http.js";
+import {
+  claimInvitation,
+  lookupRecipients,
+  MAX_GROUP_PARTICIPANTS,
+  normalizeRecipientIds,
+  PAYLOAD_OVERRIDES,
+  ringRecipient,
+  settleInvitation,
+} from "../lib/invitations.js";
+import { log } from "../lib/log.js";
+import { sendCallEvent, sendMissedCallNotification } from "../lib/push.js";
+import { rooms } from "../lib/repositories/index.js";
+import { RING_TIMEOUT_MS, scheduleRingTimeout } from "../lib/ringTimeout.js";
+import { field, schema, validateBody } from "../lib/validation.js";
+
+const USERNAME = field.string({ max: 128 });
+
+// `payload` holds CallKit display overrides only (see lib/invitations.js).
+const BODY = schema({
+  callId: field.string({ required: true, max: 128 }),
+  channelName: field.string({ required: true, max: 64 }),
+  callerUid: field.string({ max: 128 }),
+  callerName: field.string({ max: 128 }),
+  recipientId: USERNAME,
+  recipientIds: field.array(USERNAME, { single: true, max: 50 }),
+  agoraAppId: field.string({ pattern: /^[0-9a-f]{32}$/i }),
+  callType: field.string({ values: ["audio", "video"], default: "video" }),
+  payload: PAYLOAD_OVERRIDES,
+}, { oneOf: [["recipientId", "recipientIds"]] });
 
 export default async function handler(req, res) {
-  const origin = req.headers.origin;
-  const corsHeaders = buildCorsHeaders(origin);
-  Object.entries(corsHeaders).forEach(([k, v]) => res.setHeader(k, v));
-
-  if (req.method === "OPTIONS") {
-    return res.status(204).end();
-  }
-
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
-
-  console.log("📥 CALL INVITATION REQUEST:", JSON.stringify(req.body, null, 2));
+  if (handlePreflight(req, res, "POST")) return;
 
+  let claimedCallId = null;
   try {
+    // The caller is whoever the ID token says; a body callerUid must agree.
+    const auth = await authenticate(req);
+    const body = validateBody(req, BODY);
+    assertSameUser(auth, body.callerUid, "callerUid");
+    const callerUid = auth.uid;
+
     const {
       callId,
       channelName,
-      callerUid,
-      callerName,
+      callerName: requestedCallerName,
       recipientId,
+      recipientIds,
       agoraAppId,
-      agoraToken,
-      callType = "video",
-      payload: incomingPayload,
-    } = req.body || {};
-
-    console.log("📋 Parsed params:", { callId, channelName, callerUid, callerName, recipientId });
-
-    if (!callId || !channelName || !callerUid || !recipientId) {
-      console.error("❌ MISSING REQUIRED FIELDS");
-      return res.status(400).json({ 
-        error: "Missing required fields",
-        received: req.body 
-      });
+      callType,
+      payload: overrides,
+    } = body;
+    const callerName = requestedCallerName || auth.name || undefined;
+
+    log.info("Call invitation", { callId, channelName, callerUid, callerName, recipientId, recipientIds, callType });
+
+    // callId is the idempotency key: a retried request gets the first answer
+    // back instead of ringing again
+    const replay = await claimInvitation(callId, callerUid, body);
+    if (replay) {
+      log.info("Replaying invitation result", { callId, status: replay.status });
+      res.setHeader("Idempotent-Replayed", "true");
+      return res.status(replay.status).json(replay.body);
     }
+    claimedCallId = callId;
+    const respond = async (status, body) => {
+      await settleInvitation(callId, status, body);
+      claimedCallId = null;
+      return res.status(status).json(body);
+    };
 
-    // Fetch recipient
-    console.log("🔍 Looking up recipient:", recipientId);
-    const userQuery = await db.collection("user")
-      .where("username", "==", recipientId)
-      .limit(1)
-      .get();
-
-    if (userQuery.empty) {
-      console.error("❌ Recipient NOT FOUND:", recipientId);
-      return res.status(404).json({ error: "Recipient not found" });
+    // A single recipientId rings 1:1; a recipientIds list of 2+ makes a group call
+    const usernames = normalizeRecipientIds(recipientIds ?? recipientId);
+    const isGroup = usernames.length > 1;
+    if (usernames.length + 1 > MAX_GROUP_PARTICIPANTS) {
+      throw new HttpError(400, "too_many_participants", `A call can have at most ${MAX_GROUP_PARTICIPANTS} participants`);
     }
 
-    const recipientDoc = userQuery.docs[0];
-    const recipientData = recipientDoc.data() || {};
-    const fcmToken = recipientData.fcmToken;
-    const voipToken = recipientData.voipToken;
-    const platform = (recipientData.platform || "android").toLowerCase();
+    // Fetch recipients
+    const found = (await lookupRecipients(usernames)).filter((r) => r.uid !== callerUid);
+    if (!found.length) {
+      throw new HttpError(400, "invalid_recipients", "You cannot call yourself");
+    }
 
-    console.log("👤 Recipient found:", {
-      username: recipientId,
-      platform,
-      hasFCM: !!fcmToken,
-      hasVoIP: !!voipToken,
-      fcmToken: fcmToken ? fcmToken.substring(0, 20) + "..." : null,
-      voipToken: voipToken ? voipToken.substring(0, 20) + "..." : null
+    // Permission check (blocks, matches, whoCanCall) before anything is written or pushed
+    const { allowed, denied } = await partitionByPermission(callerUid, found);
+    if (denied.length) {
+      log.info("Recipients not permitted", {
+        denied: denied.map(({ recipient, error }) => ({ recipientId: recipient.username, code: error.code })),
+      });
+    }
+    if (!allowed.length) throw denied[0].error;
+
+    const recipients = await Promise.all(
+      allowed.map(async (r) => ({ ...r, devices: await getUserDevices(r.uid, r.data) }))
+    );
+
+    recipients.forEach((r) => {
+      log.debug("Recipient found", {
+        uid: r.uid,
+        devices: r.devices.map((d) => ({
+          id: d.id,
+          platform: d.platform,
+          hasFCM: !!d.fcmToken,
+          hasVoIP: !!d.voipToken,
+        })),
+      });
     });
 
-    // Save room
-    await db.collection("room").doc(channelName).set({
-      channelName, callId, callerUid, callerName: callerName || callerUid,
-      recipientId, createdBy: callerUid, createdAt: Date.now(),
-      isActive: true, callType, platform: "web",
-      agoraAppId: agoraAppId || process.env.AGORA_APP_ID,
-      agoraToken: agoraToken || null,
+    // Busy check: the caller must be free; busy recipients are handled per BUSY_POLICY
+    const { callerRoom, recipientRooms } = await checkBusy({
+      callerUid,
+      recipientUids: recipients.map((r) => r.uid),
+      channelName,
     });
-    console.log("✅ Room saved:", channelName);
-
-    // Build CallKit payload
-    const basePayload = {
-      id: callId,
-      nameCaller: callerName || callerUid,
-      handle: callerUid,
-      type: callType === "video" ? 1 : 0,
-      callAction: "create",  // Add this field explicitly
-      roomId:channelName,
-      channelName: channelName,
+    if (callerRoom) {
+      log.info("Caller busy", { callId, activeChannel: callerRoom.channelName, policy: BUSY_POLICY });
+      return respond(409, errorBody("caller_busy", "Caller is already in a call"));
+    }
 
-      extra: {
-        agoraAppId: agoraAppId || process.env.AGORA_APP_ID,
-        agoraToken: agoraToken || "",
-        channelName: channelName,
-        roomId:channelName,
-        callerUid,
-        recipientId
+    recipients.forEach((r, i) => {
+      r.busyRoom = recipientRooms[i];
+      r.callWaiting = !!r.busyRoom && BUSY_POLICY === "waiting";
+    });
+    const ringable = recipients.filter((r) => !r.busyRoom || r.callWaiting);
+    const busy = recipients.filter((r) => !ringable.includes(r)).map((r) => r.username);
+
+    if (!ringable.length) {
+      log.info("Recipients busy", { callId, recipients: busy, policy: BUSY_POLICY });
+
+      let notified = false;
+      if (BUSY_POLICY === "notify") {
+        try {
+          const callerDevices = await getUserDevices(callerUid);
+          const deliveries = await sendCallEvent(callerDevices, { callId, channelName }, "busy");
+          notified = deliveries.some((d) => d.ok);
+        } catch (e) {
+          log.error("Busy event push error", e);
+        }
       }
-    };
-
-    const mergedPayload = Object.assign({}, basePayload, incomingPayload || {});
-
-    console.log("📦 CallKit Payload:", JSON.stringify(mergedPayload, null, 2));
+      return respond(409, errorBody("busy", "Recipient is busy", { notified }));
+    }
 
-    let pushResult = null;
+    // Do-not-disturb: these invitees are recorded as missed and get a plain
+    // notification instead of a ring
+    const now = Date.now();
+    ringable.forEach((r) => { r.suppressed = suppressionReason(r.data, callerUid, now); });
+    const ringing = ringable.filter((r) => !r.suppressed);
+    const suppressed = ringable.filter((r) => r.suppressed);
+    if (suppressed.length) {
+      log.info("Ring suppressed", { callId, suppressed: suppressed.map((r) => ({ uid: r.uid, reason: r.suppressed })) });
+    }
 
-    if (platform === "ios" && voipToken) {
-      console.log("📱 iOS + VoIP token → Sending APNs VoIP");
-      pushResult = await sendApnsVoipPush(voipToken, mergedPayload, callType, callerName, callId);
-    } else if (fcmToken) {
-      console.log("📱 FCM token → Sending FCM");
-      const fcmMessage = {
-        token: fcmToken,
-        notification: {
-          title: `${callerName || callerUid} is calling`,
-          body: `Tap to answer ${callType} call`,
-        },
-        data: normalizeDataMap(mergedPayload),
-        android: { priority: "high", ttl: 60000 },
-        apns: { headers: { "apns-priority": "10" } }
+    // Save room
+    const ringExpiresAt = now + RING_TIMEOUT_MS;
+    const roomData = {
+      callId, callerUid, callerName: callerName || callerUid,
+      createdBy: callerUid, createdAt: now,
+      status: CALL_STATES.RINGING, ringingAt: now, ringExpiresAt, updatedAt: now,
+      isActive: true, callType, platform: "web",
+      participantUids: [callerUid, ...ringable.map((r) => r.uid)],
+      inviteeUids: ringable.map((r) => r.uid),
+      agoraAppId: agoraAppId || getConfig().agora.appId,
+    };
+    if (suppressed.length) {
+      roomData.suppressed = Object.fromEntries(suppressed.map((r) => [r.uid, r.suppressed]));
+      roomData.missedUids = suppressed.map((r) => r.uid);
+    }
+    if (!ringing.length) {
+      // Nobody rings: the call is missed from the start
+      Object.assign(roomData, {
+        status: CALL_STATES.MISSED, missedAt: now, isActive: false, endedBy: null, ringExpiresAt: null,
+      });
+    }
+    if (isGroup) {
+      roomData.isGroup = true;
+      roomData.participants = {
+        [callerUid]: { state: PARTICIPANT_STATES.JOINED, joinedAt: now },
+        ...Object.fromEntries(ringable.map((r) => [r.uid, {
+          username: r.username,
+          invitedAt: now,
+          invitedBy: callerUid,
+          ...(r.suppressed
+            ? { state: PARTICIPANT_STATES.MISSED, missedAt: now }
+            : { state: PARTICIPANT_STATES.RINGING, ringExpiresAt }),
+        }])),
       };
-      
-      pushResult = await messaging.send(fcmMessage);
-      console.log("✅ FCM sent:", pushResult);
     } else {
-      console.error("❌ NO TOKENS FOUND for:", recipientId);
+      const [recipient] = ringable;
+      Object.assign(roomData, {
+        recipientId: recipient.username,
+        recipientUid: recipient.uid,
+        callWaiting: recipient.callWaiting,
+      });
     }
+    roomData.nextRingExpiresAt = nextRingExpiry(roomData);
+    const room = await rooms.create(channelName, roomData);
+    if (!room) {
+      log.info("Channel already in use", { callId, channelName });
+      return respond(409, errorBody("channel_in_use", "channelName is already in use"));
+    }
+    log.debug("Room saved", { callId, channelName });
 
-    console.log("🎉 CALL INVITATION COMPLETE:", { pushResult, channelName, callId });
+    // Build CallKit payloads (no Agora token: recipients fetch their own) and ring
+    const rung = await Promise.all(ringing.map(async (recipient) => {
+      if (!recipient.devices.length) {
+        log.warn("No devices to ring", { callId, uid: recipient.uid });
+      }
+      const { payload, deliveries } = await ringRecipient(room, recipient, recipient.devices, {
+        callWaiting: recipient.callWaiting,
+        overrides,
+      });
+      log.debug("CallKit payload", { callId, uid: recipient.uid, payload });
+      return { recipient, payload, deliveries };
+    }));
+    const notified = await Promise.all(suppressed.map(async (recipient) => {
+      const deliveries = await sendMissedCallNotification(recipient.devices, room, recipient.suppressed);
+      return { recipient, deliveries };
+    }));
+
+    if (ringing.length) scheduleRingTimeout(channelName, callId);
+
+    const summaries = [...rung, ...notified].map(({ recipient, deliveries }) => ({
+      recipientId: recipient.username,
+      uid: recipient.uid,
+      devices: recipient.devices.length,
+      delivered: deliveries.filter((d) => d.ok).length,
+      deliveries,
+      suppressed: recipient.suppressed || null,
+    }));
+
+    log.info("Call invitation sent", {
+      callId,
+      channelName,
+      status: room.status,
+      recipients: summaries.map(({ uid, devices, delivered, suppressed: reason }) => ({ uid, devices, delivered, suppressed: reason })),
+    });
 
-    return res.status(200).json({
+    return respond(200, {
       success: true,
       channelName,
       callId,
-      recipient: {
-        platform,
-        hasFCM: !!fcmToken,
-        hasVoIP: !!voipToken,
-        pushResult: pushResult ? pushResult.messageId || pushResult : null
-      },
-      debug: {
-        recipientTokens: { fcmToken: !!fcmToken, voipToken: !!voipToken },
-        payloadSent: mergedPayload
-      }
+      status: room.status,
+      ...(isGroup
+        ? {
+          isGroup: true,
+          recipients: summaries,
+          busy,
+          denied: denied.map(({ recipient, error }) => ({ recipientId: recipient.username, code: error.code })),
+        }
+        : {
+          recipient: {
+            devices: summaries[0].devices,
+            delivered: summaries[0].delivered,
+            deliveries: summaries[0].deliveries,
+            suppressed: summaries[0].suppressed,
+          },
+        }),
     });
 
   } catch (err) {
-    console.error("💥 FULL ERROR:", err);
-    return res.status(500).json({ 
-      error: err.message,
-      stack: err.stack?.split("\n").slice(0, 5),
-      body: req.body 
-    });
+    if (claimedCallId) {
+      await settleInvitation(claimedCallId, null).catch((e) => log.error("Invitation release error", e));
+    }
+    return sendError(res, err, "sendCallInvitation error");
   }
 }
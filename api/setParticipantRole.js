@@ -0,0 +1,125 @@
+// api/setParticipantRole.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { roomPermissionError } from "../lib/callPermissions.js";
+import { assertCallAccess, isActiveParticipantState, isCallMember, isParticipant, participantsOf } from "../lib/callState.js";
+import { getDevicesForUsers, getUserDevices } from "../lib/devices.js";
+import { handlePreflight, HttpError, sendError } from "../lib/http.js";
+import { log } from "../lib/log.js";
+import { canManageRoles, getParticipantRole, isObserver, PARTICIPANT_ROLES, privilegesFor } from "../lib/participantRoles.js";
+import { sendCallEvent } from "../lib/push.js";
+import { rooms, users } from "../lib/repositories/index.js";
+import { field, schema, validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/setParticipantRole
+ * Body: { channelName, targetUid, role }
+ *
+ * Promotes or demotes a participant mid-call (e.g. audience => speaker). Only
+ * the caller and moderators may do this, and the caller's own role is fixed.
+ * The target's devices get a "role_changed" call event and should fetch a new
+ * token from api/token, which reads the role from the room.
+ *
+ * A subscribe-only role (audience, moderator) may also name a user who is not
+ * in the call yet, if they could be added to it (lib/callPermissions.js) and
+ * the acting user's ID token carries the `moderator` custom claim. They are
+ * attached without a ring, recorded in the room's `observers`, and can fetch
+ * a token to observe. Everyone else in the call gets a "participant_attached"
+ * call event, and the response and call history list the observers.
+ * Observers cannot end the call or be given a publishing role; that still
+ * needs an invitation through api/addParticipants.
+ */
+const BODY = schema({
+  channelName: field.string({ required: true, max: 64 }),
+  targetUid: field.string({ required: true, max: 128 }),
+  role: field.string({ required: true, values: Object.keys(PARTICIPANT_ROLES) }),
+  uid: field.string({ max: 128 }),
+});
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const { channelName, targetUid, role, uid: claimedUid } = validateBody(req, BODY);
+    assertSameUser(auth, claimedUid);
+
+    const attachable = privilegesFor(role).length === 0;
+    const targetUser = attachable ? await users.get(targetUid) : null;
+
+    let previousRole = null;
+    let attached = false;
+    const room = await rooms.updateInTransaction(String(channelName), async (current) => {
+      assertCallAccess(current, auth.uid);
+      if (!canManageRoles(current, auth.uid)) {
+        throw new HttpError(403, "not_allowed", "Only the caller or a moderator can change roles");
+      }
+      attached = !isParticipant(current, targetUid);
+      if (attached && !targetUser) {
+        throw new HttpError(404, "participant_not_found", "targetUid is not a participant of this call");
+      }
+      if (attached && auth.claims.moderator !== true) {
+        throw new HttpError(403, "moderator_required", "Only moderator accounts can attach observers");
+      }
+      if (targetUid === current.callerUid) {
+        throw new HttpError(403, "not_allowed", "The caller's role cannot be changed");
+      }
+      if (privilegesFor(role).length && isObserver(current, targetUid) && !isCallMember(current, targetUid)) {
+        throw new HttpError(403, "not_allowed", "Observers must be invited before they can publish");
+      }
+      if (attached) {
+        const denial = await roomPermissionError(current, auth.uid, {
+          username: targetUser.username,
+          uid: targetUid,
+          data: targetUser,
+        });
+        if (denial) throw denial;
+      }
+
+      previousRole = attached ? null : getParticipantRole(current, targetUid);
+      if (previousRole === role) return {};
+      const now = Date.now();
+      return {
+        roles: { ...(current.roles || {}), [targetUid]: role },
+        ...(attached ? {
+          observers: { ...current.observers, [targetUid]: { attachedBy: auth.uid, attachedAt: now } },
+        } : {}),
+        updatedAt: now,
+      };
+    });
+    log.info("Participant role changed", { channelName, targetUid, previousRole, role, attached, by: auth.uid });
+
+    let deliveries = [];
+    if (attached) {
+      try {
+        const others = Object.entries(participantsOf(room))
+          .filter(([uid, p]) => uid !== auth.uid && isActiveParticipantState(p.state))
+          .map(([uid]) => uid);
+        const devices = await getDevicesForUsers(others);
+        deliveries = await sendCallEvent(devices, room, "participant_attached", { participantUid: targetUid, role });
+      } catch (err) {
+        log.error("setParticipantRole notification error", err);
+      }
+    } else if (previousRole !== role) {
+      try {
+        const devices = await getUserDevices(targetUid);
+        deliveries = await sendCallEvent(devices, room, "role_changed", { role });
+      } catch (err) {
+        log.error("setParticipantRole notification error", err);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      channelName: room.channelName,
+      callId: room.callId,
+      targetUid,
+      role,
+      previousRole,
+      attached,
+      observers: Object.keys(room.observers || {}),
+      deliveries,
+    });
+  } catch (err) {
+    return sendError(res, err, "setParticipantRole error");
+  }
+}
@@ -0,0 +1,35 @@
+// api/sweepMissedCalls.js
+import { getConfig } from "../lib/config.js";
+import { errorBody, sendError } from "../lib/http.js";
+import { beginRequest, log } from "../lib/log.js";
+import { sweepExpiredCalls } from "../lib/ringTimeout.js";
+
+/**
+ * GET /api/sweepMissedCalls
+ * Scheduler entry point (e.g. Vercel Cron) that marks expired ringing calls as
+ * missed and ends accepted calls past their maximum duration (see
+ * lib/ringTimeout.js). Answers { success, scanned, missed, ended }.
+ *
+ * Settings (lib/config.js):
+ * - CRON_SECRET => required; sent by the scheduler as `Authorization: Bearer <secret>`
+ */
+export default async function handler(req, res) {
+  beginRequest(req, res);
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json(errorBody("method_not_allowed", "Method not allowed"));
+  }
+
+  const secret = getConfig().cron.secret?.reveal();
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json(errorBody("unauthenticated", "Unauthorized"));
+  }
+
+  try {
+    const result = await sweepExpiredCalls();
+    log.info("Missed call sweep", result);
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, "Missed call sweep error");
+  }
+}
@@ -1,160 +1,106 @@
-// pages/api/agoraToken.js
-import { RtcTokenBuilder, RtcRole } from "agora-access-token";
+// api/token.js
+import { buildRtmToken, getAgoraConfig, TOKEN_FORMATS } from "../lib/agora.js";
+import { authenticate } from "../lib/auth.js";
+import { assertCallAccess } from "../lib/callState.js";
+import { issueRtcToken, resolveTokenBinding, resolveTokenFormat } from "../lib/callTokens.js";
+import { handlePreflight, HttpError, sendError } from "../lib/http.js";
+import { rooms } from "../lib/repositories/index.js";
+import { field, schema, validateQuery } from "../lib/validation.js";
 
 /**
- * Agora token endpoint with robust CORS and debug logging.
+ * Agora token endpoint.
  *
- * - GET /api/agoraToken?channel=CHANNEL_NAME&uid=UID(optional)
- * - Env:
- *    - AGORA_APP_ID
- *    - AGORA_APP_CERT
- *    - TOKEN_EXPIRY_SECONDS (optional, default 600)
- *    - ALLOWED_ORIGINS (optional, comma-separated list of allowed origins)
- *    - DEBUG_CORS (optional "true")
- *
- * Notes:
- * - In dev this will automatically allow http://localhost:PORT and http://127.0.0.1:PORT.
- * - If your frontend uses credentials (cookies/auth), the server echoes the exact origin when allowed.
+ * - GET /api/token?channel=CHANNEL_NAME&uid=UID(optional)
+ *   with `Authorization: Bearer <Firebase ID token>`
+ * - Optional params:
+ *    - type    => "rtc" (default) | "rtm" | "rtc,rtm" (or "both") for one
+ *                 response carrying both tokens
+ *    - format  => "006" (legacy) | "007" (AccessToken2), default AGORA_TOKEN_FORMAT
+ *    - account => string user account instead of a numeric uid; must be the
+ *                 caller's Firebase uid
+ * - Only participants of the channel's `room` get an RTC token, and only while
+ *   the call has not finished. The token is bound to the caller's own Agora uid
+ *   (derived from their Firebase uid); a different `uid` is refused. RTM tokens
+ *   need no channel and are bound to the Firebase uid.
+ * - Publish privileges come from the caller's role on the room (see
+ *   lib/participantRoles.js): audience and moderators get subscriber tokens.
+ * - Expiries never reach past the call's maximum length (lib/callTokens.js);
+ *   clients renew through api/renewToken.
+ * - Settings: see lib/agora.js; CORS follows lib/cors.js.
  */
 
-const DEFAULT_ALLOWED_ORIGINS = [
-  "https://flirtbate.web.app",
-  "https://your-app.web.app",
-];
-
-const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS
-  ? process.env.ALLOWED_ORIGINS.split(",").map(o => o.trim()).filter(Boolean)
-  : DEFAULT_ALLOWED_ORIGINS
-);
-
-const DEBUG = process.env.DEBUG_CORS === "true";
-
-function isLocalhostOrigin(origin) {
-  if (!origin) return false;
-  return /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
-}
-
-function buildCorsHeaders(origin, acrHeadersRaw = "") {
-  const headers = {};
-  const requested = acrHeadersRaw
-    ? acrHeadersRaw.split(",").map(h => (h || "").trim().toLowerCase()).filter(Boolean)
-    : [];
-
-  const allowedFromEnv = origin && ALLOWED_ORIGINS.includes(origin);
-  const allowLocal = isLocalhostOrigin(origin);
-
-  if (origin && (allowedFromEnv || allowLocal)) {
-    headers["Access-Control-Allow-Origin"] = origin; // echo for credentials support
-    headers["Access-Control-Allow-Credentials"] = "true";
-  } else if (!origin) {
-    headers["Access-Control-Allow-Origin"] = "*";
-  } else {
-    headers["Access-Control-Allow-Origin"] = "null";
+const TOKEN_TYPES = ["rtc", "rtm"];
+
+// channel / room / channelName and uid / user / u are aliases.
+const CHANNEL = field.string({ max: 64 });
+const AGORA_UID = field.string({ numeric: true, max: 32 });
+const QUERY = schema({
+  type: field.string({ max: 16 }),
+  format: field.string({ values: TOKEN_FORMATS }),
+  channel: CHANNEL,
+  room: CHANNEL,
+  channelName: CHANNEL,
+  uid: AGORA_UID,
+  user: AGORA_UID,
+  u: AGORA_UID,
+  account: field.string({ max: 128 }),
+});
+
+function parseTypes(raw) {
+  if (!raw) return ["rtc"];
+  const types = String(raw) === "both" ? TOKEN_TYPES : String(raw).split(",").map((t) => t.trim().toLowerCase());
+  if (!types.length || types.some((t) => !TOKEN_TYPES.includes(t))) {
+    throw new HttpError(400, "invalid_type", "type must be one of: rtc, rtm, rtc,rtm, both");
   }
+  return [...new Set(types)];
+}
 
-  headers["Vary"] = "Origin";
-  headers["Access-Control-Allow-Methods"] = "GET,OPTIONS";
-
-  // default allowed headers (lowercase)
-  const defaultAllowedHeaders = [
-    "content-type",
-    "authorization",
-    "x-requested-with",
-    "x-client-id",
-    "x-firebase-locale",
-    "x-vercel-protection-bypass" // defensive: include common custom header if frontend uses it
-  ];
-
-  const combinedSet = new Set([
-    ...defaultAllowedHeaders.map(h => h.toLowerCase()),
-    ...requested
-  ]);
-
-  headers["Access-Control-Allow-Headers"] = Array.from(combinedSet).join(", ");
-  headers["Access-Control-Max-Age"] = "3600";
+export default async function handler(req, res) {
+  // Only GET allowed for token retrieval
+  if (handlePreflight(req, res, "GET")) return;
 
-  if (DEBUG) {
-    console.log("CORS build:", { origin, allowedFromEnv, allowLocal, requested, headers });
-  }
+  try {
+    const auth = await authenticate(req);
 
-  return headers;
-}
+    // Read env
+    const config = getAgoraConfig();
+    const query = validateQuery(req, QUERY);
+    const types = parseTypes(query.type);
 
-export default function handler(req, res) {
-  const origin = req.headers.origin;
-  const acrHeadersRaw = req.headers["access-control-request-headers"] || "";
+    const format = resolveTokenFormat(config, query.format);
 
-  // Always set CORS headers for every response
-  const corsHeaders = buildCorsHeaders(origin, acrHeadersRaw);
-  Object.entries(corsHeaders).forEach(([k, v]) => res.setHeader(k, v));
+    const channel = query.channel || query.room || query.channelName;
+    const uidRaw = query.uid || query.user || query.u;
+    const accountRaw = query.account;
+    const wantsRtc = types.includes("rtc");
 
-  // Preflight OPTIONS
-  if (req.method === "OPTIONS") {
-    if (DEBUG) {
-      return res.status(204).json({
-        debug: true,
-        message: "preflight",
-        incomingOrigin: origin,
-        acrHeaders: acrHeadersRaw,
-        corsHeaders,
+    if (!config.appId || !config.appCert) {
+      throw new HttpError(500, "agora_not_configured", "Agora is not configured on the server");
+    }
+    if (wantsRtc && !channel) {
+      throw new HttpError(400, "invalid_request", "channel is required for an RTC token", {
+        fields: [{ field: "channel", code: "required", message: "channel is required" }],
       });
     }
-    return res.status(204).end();
-  }
 
-  // Only GET allowed for token retrieval
-  if (req.method !== "GET") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
+    const body = {};
 
-  try {
-    // Read env
-    const APP_ID = process.env.AGORA_APP_ID;
-    const APP_CERT = process.env.AGORA_APP_CERT;
-    const expirationSeconds = parseInt(process.env.TOKEN_EXPIRY_SECONDS || "600", 10);
-
-    const channel = req.query.channel || req.query.room || req.query.channelName;
-    const uidRaw = req.query.uid || req.query.user || req.query.u;
+    if (wantsRtc) {
+      const room = await rooms.get(String(channel));
+      assertCallAccess(room, auth.uid);
 
-    if (!channel || !APP_ID || !APP_CERT) {
-      if (DEBUG) {
-        return res.status(400).json({
-          error: "Missing params/env",
-          details: { channel, envHasAppId: !!APP_ID, envHasAppCert: !!APP_CERT },
-          corsHeaders,
-        });
-      }
-      return res.status(400).json({ error: "Missing params or server misconfiguration" });
+      const binding = resolveTokenBinding(auth.uid, { uid: uidRaw, account: accountRaw });
+      Object.assign(body, issueRtcToken(config, room, auth.uid, { format, binding }));
     }
 
-    // Parse uid (default 0)
-    let finalUid = 0;
-    if (typeof uidRaw !== "undefined" && uidRaw !== null && String(uidRaw).trim() !== "") {
-      // guard against non-number values — if not a number, keep 0
-      const parsed = parseInt(String(uidRaw), 10);
-      if (!Number.isNaN(parsed) && parsed >= 0) finalUid = parsed;
+    if (types.includes("rtm")) {
+      const rtm = buildRtmToken(config, auth.uid);
+      body.rtm = { token: rtm.token, userId: auth.uid, expires_in: rtm.expiresIn };
     }
 
-    const role = RtcRole.PUBLISHER;
-    const currentTs = Math.floor(Date.now() / 1000);
-    const privilegeExpiredTs = currentTs + expirationSeconds;
-
-    const token = RtcTokenBuilder.buildTokenWithUid(APP_ID, APP_CERT, channel, finalUid, role, privilegeExpiredTs);
-
     // Success response
-    return res.status(200).json({
-      token,
-      channelName: channel,
-      uid: finalUid,
-      expires_in: expirationSeconds,
-    });
+    return res.status(200).json(body);
   } catch (err) {
-    console.error("Agora token handler error:", err);
-    // ensure CORS headers on error too
-    Object.entries(buildCorsHeaders(origin, acrHeadersRaw)).forEach(([k, v]) => res.setHeader(k, v));
-    if (DEBUG) {
-      return res.status(500).json({ error: err?.message || "Internal server error", stack: (err.stack || "").split("\n").slice(0, 10) });
-    }
-    return res.status(500).json({ error: "Internal server error" });
+    return sendError(res, err, "Agora token handler error");
   }
 }
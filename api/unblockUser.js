@@ -0,0 +1,39 @@
+// api/unblockUser.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { resolveBlockTarget } from "../lib/callPermissions.js";
+import { handlePreflight, sendError } from "../lib/http.js";
+import { log } from "../lib/log.js";
+import { users } from "../lib/repositories/index.js";
+import { field, schema, validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/unblockUser
+ * Body: { targetUid } or { username }
+ *
+ * Removes the user from the caller's block list. A targetUid works even if
+ * that account no longer exists; unblocking someone not blocked is a no-op.
+ */
+const BODY = schema({
+  targetUid: field.string({ max: 128 }),
+  username: field.string({ max: 128 }),
+  uid: field.string({ max: 128 }),
+}, { oneOf: [["targetUid", "username"]] });
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const body = validateBody(req, BODY);
+    assertSameUser(auth, body.uid);
+
+    const unblockedUid = body.targetUid || (await resolveBlockTarget(auth.uid, body)).uid;
+    const wasBlocked = await users.isBlocked(auth.uid, unblockedUid);
+    if (wasBlocked) await users.unblock(auth.uid, unblockedUid);
+
+    log.info("User unblocked", { by: auth.uid, unblockedUid, wasBlocked });
+    return res.status(200).json({ success: true, unblockedUid, wasBlocked });
+  } catch (err) {
+    return sendError(res, err, "unblockUser error");
+  }
+}
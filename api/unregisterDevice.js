@@ -0,0 +1,36 @@
+// api/unregisterDevice.js
+import { unregisterDevice } from "../lib/devices.js";
+import { handlePreflight, sendError } from "../lib/http.js";
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { log } from "../lib/log.js";
+import { field, schema, validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/unregisterDevice
+ * Body: { deviceId }
+ *
+ * Removes the device (e.g. on logout) so it stops receiving calls.
+ */
+const BODY = schema({
+  deviceId: field.string({ required: true, max: 128 }),
+  uid: field.string({ max: 128 }),
+});
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const body = validateBody(req, BODY);
+    assertSameUser(auth, body.uid);
+    const { uid } = auth;
+    const { deviceId } = body;
+
+    const removed = await unregisterDevice(uid, deviceId);
+    log.info("Device unregistered", { uid, deviceId, removed });
+
+    return res.status(200).json({ success: true, removed });
+  } catch (err) {
+    return sendError(res, err, "unregisterDevice error");
+  }
+}
@@ -0,0 +1,56 @@
+// api/updateCallSettings.js
+import { assertSameUser, authenticate } from "../lib/auth.js";
+import { WHO_CAN_CALL, whoCanCallOf } from "../lib/callPermissions.js";
+import { doNotDisturbSettingsOf, MAX_FAVORITES, parseDoNotDisturbSettings } from "../lib/doNotDisturb.js";
+import { handlePreflight, HttpError, sendError } from "../lib/http.js";
+import { users } from "../lib/repositories/index.js";
+import { field, schema, validateBody } from "../lib/validation.js";
+
+/**
+ * POST /api/updateCallSettings
+ * Body (any of):
+ *   whoCanCall: "everyone" | "matches" | "nobody"   see lib/callPermissions.js
+ *   doNotDisturb: boolean                           see lib/doNotDisturb.js
+ *   quietHours: { start: "HH:MM", end: "HH:MM", timeZone } | null
+ *   favoriteUids: [uid, ...]
+ *
+ * Fields left out keep their value. Returns the settings now in effect.
+ */
+// Times and time zones are checked by parseDoNotDisturbSettings.
+const BODY = schema({
+  whoCanCall: field.string({ values: WHO_CAN_CALL }),
+  doNotDisturb: field.boolean(),
+  quietHours: field.object({
+    start: field.string({ required: true, max: 5 }),
+    end: field.string({ required: true, max: 5 }),
+    timeZone: field.string({ required: true, max: 64 }),
+  }, { strict: true, nullable: true }),
+  favoriteUids: field.array(field.string({ max: 128 }), { min: 0, max: MAX_FAVORITES }),
+  uid: field.string({ max: 128 }),
+});
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res, "POST")) return;
+
+  try {
+    const auth = await authenticate(req);
+    const { whoCanCall, uid: claimedUid, ...rest } = validateBody(req, BODY);
+    assertSameUser(auth, claimedUid);
+
+    const update = parseDoNotDisturbSettings(rest);
+    if (whoCanCall !== undefined) update.whoCanCall = whoCanCall;
+    if (!Object.keys(update).length) {
+      throw new HttpError(400, "invalid_setting", "No call settings to update");
+    }
+
+    await users.updateCallSettings(auth.uid, update);
+    const user = await users.get(auth.uid);
+
+    return res.status(200).json({
+      success: true,
+      callSettings: { whoCanCall: whoCanCallOf(user), ...doNotDisturbSettingsOf(user) },
+    });
+  } catch (err) {
+    return sendError(res, err, "updateCallSettings error");
+  }
+}
@@ -0,0 +1,93 @@
+// lib/agora.js
+import { createHash } from "node:crypto";
+import legacyAccessToken from "agora-access-token/src/AccessToken.js";
+import agoraToken from "agora-token";
+import accessToken2 from "agora-token/src/AccessToken2.js";
+import { getConfig } from "./config.js";
+
+// CommonJS packages: named imports don't resolve under plain Node ESM.
+const { AccessToken: LegacyAccessToken, priviledges: LegacyPrivileges } = legacyAccessToken;
+const { AccessToken2, ServiceRtc } = accessToken2;
+const { RtmTokenBuilder } = agoraToken;
+
+/**
+ * Agora token building.
+ *
+ * Two RTC formats are supported:
+ * - "006" - legacy AccessToken (agora-access-token); one expiry for everything
+ * - "007" - AccessToken2 (agora-token); separate expiries for joining and for
+ *           publishing audio / video / data streams
+ *
+ * RTM (signalling) tokens are always AccessToken2 and are bound to the
+ * user's Firebase uid as the RTM user id.
+ *
+ * Settings: `agora` in lib/config.js (app id / certificate, default format,
+ * expiries; the per-privilege expiries only apply to "007").
+ */
+
+export const TOKEN_FORMATS = ["006", "007"];
+
+// Token settings with the certificate revealed, for the builders below.
+export function getAgoraConfig() {
+  const { agora } = getConfig();
+  return { ...agora, appCert: agora.appCert?.reveal() ?? null };
+}
+
+/**
+ * Agora RTC uid for a Firebase uid. Tokens are bound to this value, so a
+ * user can only ever join a channel as themselves. Derived (not stored) so
+ * every instance agrees without a lookup; 0 means "let Agora pick" and is
+ * never returned.
+ */
+export function agoraUidFor(uid) {
+  const n = createHash("sha256").update(String(uid)).digest().readUInt32BE(0);
+  return n === 0 ? 1 : n;
+}
+
+// Publish privileges a role may hold; joining is always granted.
+export const PUBLISH_PRIVILEGES = ["publishAudio", "publishVideo", "publishDataStream"];
+
+const LEGACY_PRIVILEGE_IDS = {
+  join: LegacyPrivileges.kJoinChannel,
+  publishAudio: LegacyPrivileges.kPublishAudioStream,
+  publishVideo: LegacyPrivileges.kPublishVideoStream,
+  publishDataStream: LegacyPrivileges.kPublishDataStream,
+};
+
+const PRIVILEGE_IDS = {
+  join: ServiceRtc.kPrivilegeJoinChannel,
+  publishAudio: ServiceRtc.kPrivilegePublishAudioStream,
+  publishVideo: ServiceRtc.kPrivilegePublishVideoStream,
+  publishDataStream: ServiceRtc.kPrivilegePublishDataStream,
+};
+
+/**
+ * RTC token for `channelName`, bound either to a numeric `uid` or to a string
+ * `account` (Agora "user account"), carrying join plus the given publish
+ * `privileges` (all of them by default; none makes a subscriber token).
+ * Returns { token, format, expiresIn }.
+ */
+export function buildRtcToken(config, { channelName, uid, account, format = config.format, privileges = PUBLISH_PRIVILEGES }) {
+  const { appId, appCert, expirySeconds, privilegeExpiry } = config;
+  const granted = ["join", ...PUBLISH_PRIVILEGES.filter((p) => privileges.includes(p))];
+  const user = account !== undefined ? account : uid;
+
+  if (format === "007") {
+    const token = new AccessToken2(appId, appCert, 0, expirySeconds);
+    const service = new ServiceRtc(channelName, user);
+    granted.forEach((p) => service.add_privilege(PRIVILEGE_IDS[p], privilegeExpiry[p]));
+    token.add_service(service);
+    return { token: token.build(), format, expiresIn: expirySeconds };
+  }
+
+  const privilegeExpiredTs = Math.floor(Date.now() / 1000) + expirySeconds;
+  const key = new LegacyAccessToken(appId, appCert, channelName, user);
+  granted.forEach((p) => key.addPriviledge(LEGACY_PRIVILEGE_IDS[p], privilegeExpiredTs));
+  return { token: key.build(), format: "006", expiresIn: expirySeconds };
+}
+
+// RTM login token for `userId` (the Firebase uid). Returns { token, expiresIn }.
+export function buildRtmToken(config, userId) {
+  const token = RtmTokenBuilder.buildToken(config.appId, config.appCert, userId, config.rtmExpirySeconds);
+  return { token, expiresIn: config.rtmExpirySeconds };
+}
@@ -0,0 +1,50 @@
+// lib/auth.js
+import { getAuthClient } from "./firebase.js";
+import { HttpError } from "./http.js";
+
+/**
+ * Firebase ID token authentication for the api/ handlers.
+ * Clients send `Authorization: Bearer <Firebase ID token>`; the verified uid
+ * is the only identity the handlers trust.
+ *
+ * 401 - no token, malformed, expired or revoked
+ * 403 - valid token but the account is disabled, or the request acts for
+ *       another user (see assertSameUser)
+ */
+
+function bearerToken(req) {
+  const header = req.headers.authorization || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+// Resolves with { uid, name, claims } or throws an HttpError (401/403).
+export async function authenticate(req) {
+  const idToken = bearerToken(req);
+  if (!idToken) {
+    throw new HttpError(401, "unauthenticated", "Missing bearer token");
+  }
+
+  let claims;
+  try {
+    claims = await getAuthClient().verifyIdToken(idToken, true);
+  } catch (err) {
+    if (err && err.code === "auth/user-disabled") {
+      throw new HttpError(403, "account_disabled", "Account is disabled");
+    }
+    // auth/id-token-expired, auth/id-token-revoked, auth/argument-error, ...
+    if (err && String(err.code || "").startsWith("auth/")) {
+      throw new HttpError(401, "unauthenticated", "Invalid or expired ID token");
+    }
+    throw err;
+  }
+
+  return { uid: claims.uid, name: claims.name || null, claims };
+}
+
+// Clients that still send their own uid must send the authenticated one.
+export function assertSameUser(auth, claimedUid, field = "uid") {
+  if (claimedUid !== undefined && claimedUid !== null && claimedUid !== auth.uid) {
+    throw new HttpError(403, "forbidden", `${field} does not match the authenticated user`);
+  }
+}
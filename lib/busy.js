@@ -0,0 +1,68 @@
+// lib/busy.js
+import { CALL_STATES, getCallState, PARTICIPANT_STATES, TERMINAL_STATES } from "./callState.js";
+import { callDeadline } from "./callTokens.js";
+import { getConfig } from "./config.js";
+import { rooms } from "./repositories/index.js";
+import { RING_TIMEOUT_MS } from "./ringTimeout.js";
+
+/**
+ * Busy detection for new invitations.
+ *
+ * Settings (lib/config.js):
+ * - BUSY_POLICY (optional, default "reject") => what to do when the recipient
+ *   is already in a call:
+ *     reject  - 409 busy, nothing is rung
+ *     notify  - 409 busy and the caller's devices get a "busy" call event
+ *     waiting - ring anyway, flagged as call waiting in the CallKit payload
+ *   Group invitations skip busy invitees (unless waiting) and only answer
+ *   409 when nobody could be rung.
+ */
+
+export const BUSY_POLICIES = ["reject", "notify", "waiting"];
+
+export const BUSY_POLICY = getConfig().calls.busyPolicy;
+
+// Rooms written before ring timeouts existed have no `status` and no
+// `ringExpiresAt`; their ring window closed RING_TIMEOUT_MS after creation.
+function ringExpiryOf(room) {
+  if (room.ringExpiresAt) return room.ringExpiresAt;
+  return room.status ? null : (room.ringingAt || room.createdAt || 0) + RING_TIMEOUT_MS;
+}
+
+// Ringing rooms whose ring window passed (sweep not run yet) don't count, nor
+// accepted calls past their maximum duration (nobody called endCall), nor
+// group calls `uid` already declined, left or missed.
+function isLive(room, uid, now) {
+  const state = getCallState(room);
+  if (TERMINAL_STATES.has(state)) return false;
+  if (state === CALL_STATES.ACCEPTED && callDeadline(room) <= now) return false;
+
+  const participant = room.participants?.[uid];
+  if (participant) {
+    if (participant.state === PARTICIPANT_STATES.JOINED) return true;
+    return participant.state === PARTICIPANT_STATES.RINGING && !(participant.ringExpiresAt <= now);
+  }
+
+  const ringExpiresAt = state === CALL_STATES.RINGING ? ringExpiryOf(room) : null;
+  return !(ringExpiresAt && ringExpiresAt <= now);
+}
+
+export async function findActiveCall(uid, { excludeChannel } = {}) {
+  if (!uid) return null;
+
+  const active = await rooms.findActiveFor(uid);
+  const now = Date.now();
+  return active.find((room) => room.channelName !== excludeChannel && isLive(room, uid, now)) || null;
+}
+
+/**
+ * Live calls the people on a new invitation are already in:
+ * { callerRoom, recipientRooms } with recipientRooms[i] for recipientUids[i];
+ * null entries are free.
+ */
+export async function checkBusy({ callerUid, recipientUids, channelName }) {
+  const [callerRoom, ...recipientRooms] = await Promise.all(
+    [callerUid, ...recipientUids].map((uid) => findActiveCall(uid, { excludeChannel: channelName }))
+  );
+  return { callerRoom, recipientRooms };
+}
@@ -0,0 +1,115 @@
+// lib/callActionHandler.js
+import { assertSameUser, authenticate } from "./auth.js";
+import { applyCallTransition, CALL_STATES, PARTICIPANT_STATES, participantsMissedAt, TERMINAL_STATES } from "./callState.js";
+import { handlePreflight, sendError } from "./http.js";
+import { log } from "./log.js";
+import { sendCallDismissal, sendCallEvent } from "./push.js";
+import { getDevicesForUsers, getUserDevices } from "./devices.js";
+import { field, schema, validateBody } from "./validation.js";
+
+const BODY = schema({
+  channelName: field.string({ required: true, max: 64 }),
+  callId: field.string({ max: 128 }),
+  deviceId: field.string({ max: 128 }),
+  uid: field.string({ max: 128 }),
+});
+
+const GROUP_EVENTS = {
+  accept: "participant_joined",
+  decline: "participant_declined",
+  end: "participant_left",
+};
+
+function participantsIn(room, state, exceptUid) {
+  return Object.entries(room.participants)
+    .filter(([uid, p]) => p.state === state && uid !== exceptUid)
+    .map(([uid]) => uid);
+}
+
+// Group calls: the others still in the call hear who joined / declined / left;
+// anyone still ringing when the room ended (now missed) is dismissed.
+async function notifyGroupTransition(action, room, uid) {
+  const pushes = [];
+  if (TERMINAL_STATES.has(room.status)) {
+    const ringing = await getDevicesForUsers(participantsMissedAt(room));
+    pushes.push(...await sendCallDismissal(ringing, room, room.status));
+  }
+  if (GROUP_EVENTS[action]) {
+    const joined = await getDevicesForUsers(participantsIn(room, PARTICIPANT_STATES.JOINED, uid));
+    pushes.push(...await sendCallEvent(joined, room, GROUP_EVENTS[action], { participantUid: uid }));
+  }
+  return pushes;
+}
+
+// 1:1 calls: the recipient's other devices stop ringing once one of them
+// answers or declines, and the caller hears about a decline.
+async function notifyAnswer(room, deviceId) {
+  const pushes = [];
+  const others = (await getUserDevices(room.recipientUid)).filter((d) => d.id !== deviceId);
+  if (others.length) pushes.push(...await sendCallDismissal(others, room, room.status));
+  if (room.status === CALL_STATES.DECLINED) {
+    const caller = await getUserDevices(room.callerUid);
+    pushes.push(...await sendCallEvent(caller, room, CALL_STATES.DECLINED));
+  }
+  return pushes;
+}
+
+// Pushes that must follow a committed transition. Failures are logged, never
+// surfaced: the state change already happened.
+async function notifyTransition(action, room, uid, deviceId) {
+  try {
+    if (room.isGroup) {
+      return await notifyGroupTransition(action, room, uid);
+    }
+    if (action === "cancel") {
+      const devices = await getUserDevices(room.recipientUid);
+      return await sendCallDismissal(devices, room, CALL_STATES.CANCELLED);
+    }
+    if (action === "accept" || action === "decline") {
+      return await notifyAnswer(room, deviceId);
+    }
+  } catch (err) {
+    log.error(`${action}Call notification error`, err);
+  }
+  return [];
+}
+
+/**
+ * Builds the POST handler behind api/acceptCall, api/declineCall,
+ * api/cancelCall and api/endCall.
+ *
+ * Body: { channelName, callId (optional), deviceId (optional) }; the acting
+ * user is the authenticated one. In group calls endCall means "leave"; the
+ * room ends with the last participant (see lib/callState.js). On a 1:1 accept
+ * or decline every other device of the recipient is dismissed; `deviceId`
+ * names the one that answered, so it is left alone.
+ */
+export function createCallActionHandler(action) {
+  return async function handler(req, res) {
+    if (handlePreflight(req, res, "POST")) return;
+
+    try {
+      const auth = await authenticate(req);
+      const { channelName, callId, deviceId, uid: claimedUid } = validateBody(req, BODY);
+      assertSameUser(auth, claimedUid);
+      const uid = auth.uid;
+
+      const room = await applyCallTransition(channelName, action, uid, { callId });
+      log.info(`Call ${action}`, { channelName, callId: room.callId, uid, status: room.status });
+
+      const pushes = await notifyTransition(action, room, uid, deviceId);
+
+      return res.status(200).json({
+        success: true,
+        channelName,
+        callId: room.callId,
+        status: room.status,
+        isActive: room.isActive,
+        ...(room.isGroup ? { participantState: room.participants[uid]?.state } : {}),
+        deliveries: pushes,
+      });
+    } catch (err) {
+      return sendError(res, err, `${action}Call error`);
+    }
+  };
+}
@@ -0,0 +1,101 @@
+// lib/callHistory.js
+import { getCallState, TERMINAL_STATES } from "./callState.js";
+import { HttpError } from "./http.js";
+import { rooms, users } from "./repositories/index.js";
+
+/**
+ * Per-user call history built from `room` documents.
+ *
+ * A call is missed for an invitee listed in the room's `missedUids` (timed
+ * out, or still ringing when it was cancelled / ended). Missed calls created
+ * after the user's `missedCallsSeenAt` count toward the badge.
+ *
+ * Rooms written before `participantUids` / `inviteeUids` existed do not
+ * show up.
+ */
+
+export const HISTORY_FILTERS = ["all", "incoming", "outgoing", "missed"];
+export const MAX_PAGE_SIZE = 50;
+const DEFAULT_PAGE_SIZE = 20;
+
+// Time `uid` actually spent in the call.
+function durationFor(room, uid) {
+  const me = room.participants?.[uid];
+  if (!me) return room.durationMs || 0;
+
+  const start = Math.max(me.joinedAt || 0, room.acceptedAt || 0);
+  const end = me.leftAt || room.endedAt;
+  return room.acceptedAt && me.joinedAt && end && end > start ? end - start : 0;
+}
+
+function otherPartyFor(room, outgoing) {
+  if (!outgoing) return { uid: room.callerUid, name: room.callerName || null };
+  if (room.isGroup) return null;
+  return { uid: room.recipientUid, username: room.recipientId };
+}
+
+export function historyEntry(room, uid, seenAt = 0) {
+  const status = getCallState(room);
+  const outgoing = room.callerUid === uid;
+  const missed = !outgoing && (room.missedUids || []).includes(uid);
+  const me = room.participants?.[uid];
+
+  return {
+    channelName: room.channelName,
+    callId: room.callId,
+    callType: room.callType || "video",
+    direction: outgoing ? "outgoing" : "incoming",
+    status,
+    missed,
+    seen: !missed || room.createdAt <= seenAt,
+    startedAt: room.createdAt,
+    answeredAt: (!outgoing && me ? me.joinedAt : room.acceptedAt) || null,
+    endedAt: TERMINAL_STATES.has(status) ? room[`${status}At`] || room.updatedAt : null,
+    durationMs: durationFor(room, uid),
+    otherParty: otherPartyFor(room, outgoing),
+    isGroup: !!room.isGroup,
+    participantCount: room.participantUids ? room.participantUids.length : 2,
+    // Users attached without a ring by api/setParticipantRole
+    observers: Object.keys(room.observers || {}),
+  };
+}
+
+export async function getMissedCallsSeenAt(uid) {
+  const user = await users.get(uid);
+  return user?.missedCallsSeenAt || 0;
+}
+
+export async function countUnseenMissedCalls(uid) {
+  const since = await getMissedCallsSeenAt(uid);
+  return { count: await rooms.countMissedSince(uid, since), since };
+}
+
+/**
+ * One page of history for `uid`: { calls, nextCursor }. Pass `nextCursor`
+ * back as `cursor` for the following page; null means there is none.
+ */
+export async function getCallHistory(uid, { filter = "all", limit, cursor } = {}) {
+  if (!HISTORY_FILTERS.includes(filter)) {
+    throw new HttpError(400, "invalid_filter", `filter must be one of: ${HISTORY_FILTERS.join(", ")}`);
+  }
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(String(limit), 10);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new HttpError(400, "invalid_limit", `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const [page, seenAt] = await Promise.all([
+    rooms.listForUser(uid, { filter, limit: pageSize, cursor: cursor ? String(cursor) : undefined }),
+    getMissedCallsSeenAt(uid),
+  ]);
+
+  return {
+    calls: page.rooms.map((room) => historyEntry(room, uid, seenAt)),
+    nextCursor: page.nextCursor,
+  };
+}
+
+// Marks every missed call up to `at` as seen. Returns the new watermark.
+export async function markMissedCallsSeen(uid, at = Date.now()) {
+  await users.setMissedCallsSeenAt(uid, at);
+  return at;
+}
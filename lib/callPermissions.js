@@ -0,0 +1,133 @@
+// lib/callPermissions.js
+import { participantsOf, PARTICIPANT_STATES } from "./callState.js";
+import { getConfig } from "./config.js";
+import { HttpError } from "./http.js";
+import { users } from "./repositories/index.js";
+
+/**
+ * Who may ring whom. Checked by api/sendCallInvitation and
+ * api/addParticipants before a room is written or anything is pushed.
+ *
+ * Settings (lib/config.js):
+ * - CALL_PERMISSION_POLICY (optional, default "open") =>
+ *     open    - anyone not blocked, within the recipient's whoCanCall
+ *     matches - mutual matches only, whatever the recipient chose
+ * - DEFAULT_WHO_CAN_CALL (optional, default "everyone") => for users who
+ *   never set user/{uid}.callSettings.whoCanCall
+ *
+ * whoCanCall: everyone | matches | nobody
+ *
+ * Denials are 403s with a code the client can show, checked in this order:
+ *   blocked            the recipient blocked the caller
+ *   recipient_blocked  the caller blocked the recipient
+ *   calls_disabled     the recipient takes no calls
+ *   not_matched        a mutual match is required and there is none
+ *
+ * Someone brought into a running call must also be callable by its caller
+ * and by everyone who has joined; those denials are reported as
+ * not_allowed_in_call, so the adder does not learn who blocked whom.
+ */
+
+export const CALL_PERMISSION_POLICIES = ["open", "matches"];
+
+export const CALL_PERMISSION_POLICY = getConfig().calls.permissionPolicy;
+
+export const WHO_CAN_CALL = ["everyone", "matches", "nobody"];
+
+const DEFAULT_WHO_CAN_CALL = getConfig().calls.defaultWhoCanCall;
+
+export function whoCanCallOf(user) {
+  const setting = user?.callSettings?.whoCanCall;
+  return WHO_CAN_CALL.includes(setting) ? setting : DEFAULT_WHO_CAN_CALL;
+}
+
+/**
+ * Why `callerUid` may not ring `recipient` ({ username, uid, data } from
+ * lookupRecipients), as an HttpError, or null when the call is allowed.
+ */
+export async function callPermissionError(callerUid, recipient) {
+  if (recipient.uid === callerUid) return null;
+  const details = { recipientId: recipient.username };
+
+  const [blockedByRecipient, blockedByCaller] = await Promise.all([
+    users.isBlocked(recipient.uid, callerUid),
+    users.isBlocked(callerUid, recipient.uid),
+  ]);
+  if (blockedByRecipient) {
+    return new HttpError(403, "blocked", "This user is not accepting calls from you", details);
+  }
+  if (blockedByCaller) {
+    return new HttpError(403, "recipient_blocked", "Unblock this user to call them", details);
+  }
+
+  const whoCanCall = whoCanCallOf(recipient.data);
+  if (whoCanCall === "nobody") {
+    return new HttpError(403, "calls_disabled", "This user is not accepting calls", details);
+  }
+  if (CALL_PERMISSION_POLICY === "matches" || whoCanCall === "matches") {
+    if (!(await users.isMutualMatch(callerUid, recipient.uid))) {
+      return new HttpError(403, "not_matched", "You can only call people you have matched with", details);
+    }
+  }
+  return null;
+}
+
+/**
+ * Why `adderUid` may not bring `recipient` into `room`, or null. The adder is
+ * checked like a caller, then the room's caller and every joined participant.
+ */
+export async function roomPermissionError(room, adderUid, recipient) {
+  const own = await callPermissionError(adderUid, recipient);
+  if (own) return own;
+
+  const joined = Object.entries(participantsOf(room))
+    .filter(([, p]) => p.state === PARTICIPANT_STATES.JOINED)
+    .map(([uid]) => uid);
+  const others = [...new Set([room.callerUid, ...joined])].filter((uid) => uid && uid !== adderUid);
+  const errors = await Promise.all(others.map((uid) => callPermissionError(uid, recipient)));
+  if (!errors.some(Boolean)) return null;
+  return new HttpError(403, "not_allowed_in_call", "This user cannot be added to this call", {
+    recipientId: recipient.username,
+  });
+}
+
+function partition(recipients, errors) {
+  return {
+    allowed: recipients.filter((_, i) => !errors[i]),
+    denied: recipients
+      .map((recipient, i) => ({ recipient, error: errors[i] }))
+      .filter(({ error }) => error),
+  };
+}
+
+// Splits recipients into those `callerUid` may ring and the denials.
+export async function partitionByPermission(callerUid, recipients) {
+  return partition(recipients, await Promise.all(recipients.map((r) => callPermissionError(callerUid, r))));
+}
+
+// Same, for recipients `adderUid` brings into the running call `room`.
+export async function partitionByRoomPermission(room, adderUid, recipients) {
+  return partition(recipients, await Promise.all(recipients.map((r) => roomPermissionError(room, adderUid, r))));
+}
+
+/**
+ * Resolves the user a block / unblock request names, by `targetUid` or
+ * `username`. Returns { uid, username }.
+ */
+export async function resolveBlockTarget(authUid, { targetUid, username } = {}) {
+  let user = null;
+  if (targetUid) {
+    user = await users.get(String(targetUid));
+  } else if (username) {
+    user = await users.findByUsername(String(username));
+  } else {
+    throw new HttpError(400, "missing_target", "targetUid or username is required");
+  }
+  if (!user) {
+    throw new HttpError(404, "user_not_found", "User not found");
+  }
+  if (user.uid === authUid) {
+    throw new HttpError(400, "invalid_target", "You cannot block yourself");
+  }
+  return { uid: user.uid, username: user.username };
+}
@@ -0,0 +1,340 @@
+// lib/callState.js
+import { callDeadline } from "./callTokens.js";
+import { HttpError } from "./http.js";
+import { hasRoleEntry } from "./participantRoles.js";
+import { rooms } from "./repositories/index.js";
+
+/**
+ * Call lifecycle state machine for `room` documents.
+ *
+ *   ringing ──accept──▶ accepted ──end / expire──▶ ended
+ *      ├──decline──▶ declined
+ *      ├──cancel───▶ cancelled
+ *      └──miss─────▶ missed
+ *
+ * Every transition stamps `<state>At` on the room and runs inside a Firestore
+ * transaction so concurrent clients cannot both win the same call.
+ *
+ * Group rooms (`isGroup`) also track each participant in `participants`
+ * (ringing ─▶ joined ─▶ left, or declined / missed). There the same actions
+ * act on the participant, and the room follows: accepted on the first join,
+ * declined / missed when nobody is left ringing before anyone joined, and
+ * ended when the last joined participant leaves. Anyone still ringing when
+ * the room ends (or is cancelled) is marked missed.
+ *
+ * `expire` is the system ending a call that outlived MAX_CALL_DURATION_SECONDS
+ * (callDeadline in lib/callTokens.js), e.g. because both apps crashed before
+ * anyone called endCall. It ends group rooms as a whole.
+ */
+
+export const CALL_STATES = {
+  RINGING: "ringing",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  CANCELLED: "cancelled",
+  MISSED: "missed",
+  ENDED: "ended",
+};
+
+export const TERMINAL_STATES = new Set([
+  CALL_STATES.DECLINED,
+  CALL_STATES.CANCELLED,
+  CALL_STATES.MISSED,
+  CALL_STATES.ENDED,
+]);
+
+// action => { from, to, actor } where actor is who may trigger it
+const TRANSITIONS = {
+  accept: { from: [CALL_STATES.RINGING], to: CALL_STATES.ACCEPTED, actor: "recipient" },
+  decline: { from: [CALL_STATES.RINGING], to: CALL_STATES.DECLINED, actor: "recipient" },
+  cancel: { from: [CALL_STATES.RINGING], to: CALL_STATES.CANCELLED, actor: "caller" },
+  miss: { from: [CALL_STATES.RINGING], to: CALL_STATES.MISSED, actor: "system" },
+  end: { from: [CALL_STATES.ACCEPTED], to: CALL_STATES.ENDED, actor: "participant" },
+  expire: { from: [CALL_STATES.ACCEPTED], to: CALL_STATES.ENDED, actor: "system" },
+};
+
+export const CALL_ACTIONS = Object.keys(TRANSITIONS);
+
+export const PARTICIPANT_STATES = {
+  RINGING: "ringing",
+  JOINED: "joined",
+  DECLINED: "declined",
+  LEFT: "left",
+  MISSED: "missed",
+};
+
+const ACTIVE_PARTICIPANT_STATES = new Set([PARTICIPANT_STATES.RINGING, PARTICIPANT_STATES.JOINED]);
+
+// Rooms created before `status` existed only carry `isActive`.
+export function getCallState(room) {
+  if (room.status) return room.status;
+  return room.isActive ? CALL_STATES.RINGING : CALL_STATES.ENDED;
+}
+
+/**
+ * { [uid]: { state, ... } } for any room. Group rooms store it; for 1:1 rooms
+ * it is derived from the call state, so a 1:1 call can be turned into a group.
+ */
+export function participantsOf(room) {
+  if (room.participants) return room.participants;
+
+  const { RINGING, JOINED, DECLINED, LEFT, MISSED } = PARTICIPANT_STATES;
+  const caller = { state: JOINED, joinedAt: room.ringingAt || room.createdAt };
+  const recipient = { username: room.recipientId, invitedAt: room.ringingAt || room.createdAt };
+
+  switch (getCallState(room)) {
+    case CALL_STATES.RINGING:
+      Object.assign(recipient, { state: RINGING, ringExpiresAt: room.ringExpiresAt });
+      break;
+    case CALL_STATES.ACCEPTED:
+      Object.assign(recipient, { state: JOINED, joinedAt: room.acceptedAt });
+      break;
+    case CALL_STATES.DECLINED:
+      Object.assign(recipient, { state: DECLINED, declinedAt: room.declinedAt });
+      break;
+    case CALL_STATES.ENDED:
+      Object.assign(caller, { state: LEFT, leftAt: room.endedAt });
+      Object.assign(recipient, { state: LEFT, leftAt: room.endedAt });
+      break;
+    default:
+      Object.assign(caller, { state: LEFT, leftAt: room.updatedAt });
+      Object.assign(recipient, { state: MISSED, missedAt: room.updatedAt });
+  }
+
+  const participants = {};
+  if (room.callerUid) participants[room.callerUid] = caller;
+  if (room.recipientUid) participants[room.recipientUid] = recipient;
+  return participants;
+}
+
+export function isActiveParticipantState(state) {
+  return ACTIVE_PARTICIPANT_STATES.has(state);
+}
+
+// Caller, recipient or any group participant: someone who was rung or rang.
+export function isCallMember(room, uid) {
+  if (!uid) return false;
+  if (uid === room.callerUid || uid === room.recipientUid) return true;
+  return !!room.participants && Object.prototype.hasOwnProperty.call(room.participants, uid);
+}
+
+// A call member, or anyone given a role on the room (e.g. an attached
+// moderator). Enough to fetch a token, not to end the call.
+export function isParticipant(room, uid) {
+  return isCallMember(room, uid) || hasRoleEntry(room, uid);
+}
+
+// Gate for anything that lets `uid` into the call's media channel.
+export function assertCallAccess(room, uid) {
+  if (!room) {
+    throw new HttpError(404, "call_not_found", "Call not found");
+  }
+  if (!isParticipant(room, uid)) {
+    throw new HttpError(403, "not_participant", "You are not a participant of this call");
+  }
+  const state = getCallState(room);
+  if (TERMINAL_STATES.has(state)) {
+    throw new HttpError(409, "call_not_active", `Call is ${state}`);
+  }
+  const participant = room.participants?.[uid];
+  if (participant && !isActiveParticipantState(participant.state)) {
+    throw new HttpError(409, "participant_not_active", `You have ${participant.state} this call`);
+  }
+}
+
+function isAllowedActor(actor, room, uid) {
+  switch (actor) {
+    case "caller":
+      return uid === room.callerUid;
+    case "recipient":
+      return uid === room.recipientUid;
+    case "participant":
+      return isCallMember(room, uid);
+    case "system":
+      return uid === null;
+    default:
+      return false;
+  }
+}
+
+// Fields every transition into `to` stamps on the room.
+function stampState(room, to, uid, now) {
+  const update = {
+    status: to,
+    [`${to}At`]: now,
+    updatedAt: now,
+    isActive: !TERMINAL_STATES.has(to),
+  };
+  if (TERMINAL_STATES.has(to)) {
+    update.endedBy = uid;
+    if (to === CALL_STATES.ENDED && room.acceptedAt) {
+      update.durationMs = now - room.acceptedAt;
+    }
+  }
+  return update;
+}
+
+function groupParticipantUpdate(room, action, uid, now) {
+  const { RINGING, JOINED, DECLINED, LEFT, MISSED } = PARTICIPANT_STATES;
+  const current = getCallState(room);
+  if (TERMINAL_STATES.has(current)) {
+    throw new HttpError(409, "invalid_transition", `Cannot ${action} a call that is ${current}`);
+  }
+
+  const participants = { ...room.participants };
+  const me = uid ? participants[uid] : null;
+  const expect = (state) => {
+    if (!me) {
+      throw new HttpError(403, "not_allowed", `Only a participant can ${action} this call`);
+    }
+    if (me.state !== state) {
+      throw new HttpError(409, "invalid_transition", `Cannot ${action} while your participation is ${me.state}`);
+    }
+  };
+
+  switch (action) {
+    case "accept":
+      expect(RINGING);
+      participants[uid] = { ...me, state: JOINED, joinedAt: now };
+      break;
+    case "decline":
+      expect(RINGING);
+      participants[uid] = { ...me, state: DECLINED, declinedAt: now };
+      break;
+    case "end":
+      expect(JOINED);
+      if (current !== CALL_STATES.ACCEPTED) {
+        throw new HttpError(409, "invalid_transition", `Cannot ${action} a call that is ${current}`);
+      }
+      participants[uid] = { ...me, state: LEFT, leftAt: now };
+      break;
+    case "miss": {
+      if (uid !== null) {
+        throw new HttpError(403, "not_allowed", "Only the system can miss this call");
+      }
+      const expired = Object.entries(participants)
+        .filter(([, p]) => p.state === RINGING && p.ringExpiresAt && p.ringExpiresAt <= now);
+      if (!expired.length) {
+        throw new HttpError(409, "invalid_transition", "No participant's ring window has passed");
+      }
+      expired.forEach(([id, p]) => { participants[id] = { ...p, state: MISSED, missedAt: now }; });
+      break;
+    }
+    default:
+      throw new HttpError(409, "invalid_transition", `Cannot ${action} a group call`);
+  }
+
+  const invitees = Object.entries(participants).filter(([id]) => id !== room.callerUid).map(([, p]) => p);
+  const anyoneJoined = Object.values(participants).some((p) => p.state === JOINED);
+
+  let to = action === "accept" && current === CALL_STATES.RINGING ? CALL_STATES.ACCEPTED : null;
+  if (current === CALL_STATES.RINGING && !invitees.some((p) => p.state === RINGING || p.state === JOINED)) {
+    to = invitees.some((p) => p.state === MISSED) ? CALL_STATES.MISSED : CALL_STATES.DECLINED;
+  } else if (current === CALL_STATES.ACCEPTED && !anyoneJoined) {
+    to = CALL_STATES.ENDED;
+  }
+
+  return { participants, updatedAt: now, ...(to ? stampState(room, to, uid, now) : {}) };
+}
+
+// Group rooms that end stop ringing: whoever was still ringing missed the call.
+function withRingingMissed(room, update) {
+  if (!room.isGroup || !TERMINAL_STATES.has(update.status)) return update;
+
+  const participants = Object.fromEntries(
+    Object.entries(update.participants || room.participants).map(([id, p]) => [
+      id,
+      p.state === PARTICIPANT_STATES.RINGING ? { ...p, state: PARTICIPANT_STATES.MISSED, missedAt: update.updatedAt } : p,
+    ])
+  );
+  return { ...update, participants };
+}
+
+/**
+ * Adds `missedUids` to a transition's update: invitees who timed out, or who
+ * were still ringing when the call was cancelled or ended. Call history and
+ * the missed-call badge query this array.
+ */
+function withMissedUids(room, update) {
+  const to = update.status;
+  let missed = [];
+  if (room.isGroup) {
+    missed = Object.entries(update.participants || room.participants)
+      .filter(([, p]) => p.state === PARTICIPANT_STATES.MISSED)
+      .map(([id]) => id);
+  } else if ((to === CALL_STATES.MISSED || to === CALL_STATES.CANCELLED) && room.recipientUid) {
+    missed = [room.recipientUid];
+  }
+
+  const previous = room.missedUids || [];
+  const missedUids = [...new Set([...previous, ...missed])];
+  return missedUids.length > previous.length ? { ...update, missedUids } : update;
+}
+
+/**
+ * When the next ring window in `room` closes: the room's own while a 1:1
+ * call rings, the earliest of the ringing participants' in a group call
+ * (whatever the room's status), null when nobody rings. Stored on the room
+ * as `nextRingExpiresAt`, which the missed-call sweep queries.
+ */
+export function nextRingExpiry(room) {
+  if (TERMINAL_STATES.has(getCallState(room))) return null;
+  const expiries = Object.values(participantsOf(room))
+    .filter((p) => p.state === PARTICIPANT_STATES.RINGING && p.ringExpiresAt)
+    .map((p) => p.ringExpiresAt);
+  return expiries.length ? Math.min(...expiries) : null;
+}
+
+// Group calls: participants a transition at `at` (by default the room's last) marked missed.
+export function participantsMissedAt(room, at = room.updatedAt) {
+  return Object.entries(participantsOf(room))
+    .filter(([, p]) => p.state === PARTICIPANT_STATES.MISSED && p.missedAt === at)
+    .map(([id]) => id);
+}
+
+// Derived fields every transition keeps up to date.
+function completeUpdate(room, update) {
+  const full = withMissedUids(room, withRingingMissed(room, update));
+  return { ...full, nextRingExpiresAt: nextRingExpiry({ ...room, ...full }) };
+}
+
+/**
+ * Moves the room for `channelName` through `action` on behalf of `uid`
+ * (null for server-initiated transitions). Returns the updated room data.
+ */
+export async function applyCallTransition(channelName, action, uid, { callId } = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new HttpError(400, "invalid_action", `Unknown call action: ${action}`);
+  }
+
+  return rooms.updateInTransaction(channelName, (room) => {
+    if (!room) {
+      throw new HttpError(404, "call_not_found", "Call not found");
+    }
+
+    if (callId && room.callId !== callId) {
+      throw new HttpError(409, "call_mismatch", "callId does not match this channel");
+    }
+
+    const now = Date.now();
+    // Cancelling and expiring end the whole group call; everything else is per participant.
+    if (room.isGroup && action !== "cancel" && action !== "expire") {
+      return completeUpdate(room, groupParticipantUpdate(room, action, uid, now));
+    }
+
+    if (!isAllowedActor(transition.actor, room, uid)) {
+      throw new HttpError(403, "not_allowed", `Only the ${transition.actor} can ${action} this call`);
+    }
+
+    const current = getCallState(room);
+    if (!transition.from.includes(current)) {
+      throw new HttpError(409, "invalid_transition", `Cannot ${action} a call that is ${current}`);
+    }
+    if (action === "expire" && callDeadline(room) > now) {
+      throw new HttpError(409, "invalid_transition", "The call has not reached its maximum duration");
+    }
+
+    return completeUpdate(room, stampState(room, transition.to, uid, now));
+  });
+}
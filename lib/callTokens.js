@@ -0,0 +1,112 @@
+// lib/callTokens.js
+import { agoraUidFor, buildRtcToken, getAgoraConfig, TOKEN_FORMATS } from "./agora.js";
+import { getConfig } from "./config.js";
+import { HttpError } from "./http.js";
+import { getParticipantRole, privilegesFor } from "./participantRoles.js";
+
+/**
+ * RTC tokens for a participant of a room, shared by api/token and
+ * api/renewToken. No token outlives the call's maximum length: expiries are
+ * cut to what is left of it, so a call cannot be stretched by renewing.
+ *
+ * Settings (lib/config.js):
+ * - MAX_CALL_DURATION_SECONDS (optional, default 7200) => counted from
+ *   acceptance (or from ringing for a call not yet accepted)
+ * - LEGACY_AGORA_TOKEN_IN_PUSH (optional "true") => transition period only:
+ *   invitations carry a token minted for the recipient in `extra.agoraToken`
+ */
+
+export const MAX_CALL_DURATION_SECONDS = getConfig().calls.maxCallDurationSeconds;
+
+export function callDeadline(room) {
+  const startedAt = room.acceptedAt || room.ringingAt || room.createdAt;
+  return startedAt + MAX_CALL_DURATION_SECONDS * 1000;
+}
+
+export function resolveTokenFormat(config, raw) {
+  const format = raw ? String(raw) : config.format;
+  if (!TOKEN_FORMATS.includes(format)) {
+    throw new HttpError(400, "invalid_format", `format must be one of: ${TOKEN_FORMATS.join(", ")}`);
+  }
+  return format;
+}
+
+/**
+ * What the token is bound to: { account } (the Firebase uid itself) when the
+ * client asks for a string account, else { uid } derived from the Firebase
+ * uid. A claimed uid / account that isn't the caller's own is refused.
+ */
+export function resolveTokenBinding(authUid, { uid, account } = {}) {
+  if (typeof account !== "undefined" && account !== null && String(account).trim() !== "") {
+    if (String(account) !== authUid) {
+      throw new HttpError(403, "account_mismatch", "account does not belong to the authenticated user");
+    }
+    return { account: authUid };
+  }
+
+  // The token uid is always the authenticated user's; clients may echo it back
+  const binding = { uid: agoraUidFor(authUid) };
+  if (typeof uid !== "undefined" && uid !== null && String(uid).trim() !== "") {
+    if (parseInt(String(uid), 10) !== binding.uid) {
+      throw new HttpError(403, "uid_mismatch", "uid does not belong to the authenticated user");
+    }
+  }
+  return binding;
+}
+
+/**
+ * Builds the RTC token for `authUid` on `room` (access already checked).
+ * Returns the response fields { token, channelName, uid | account, role,
+ * format, expires_in }.
+ */
+export function issueRtcToken(config, room, authUid, { format, binding }, now = Date.now()) {
+  const remaining = Math.floor((callDeadline(room) - now) / 1000);
+  if (remaining <= 0) {
+    throw new HttpError(409, "max_duration_reached", "Call reached its maximum length");
+  }
+
+  const cap = (seconds) => Math.min(seconds, remaining);
+  const capped = {
+    ...config,
+    expirySeconds: cap(config.expirySeconds),
+    privilegeExpiry: Object.fromEntries(
+      Object.entries(config.privilegeExpiry).map(([k, v]) => [k, cap(v)])
+    ),
+  };
+
+  const role = getParticipantRole(room, authUid);
+  const rtc = buildRtcToken(capped, {
+    channelName: room.channelName,
+    format,
+    privileges: privilegesFor(role),
+    ...binding,
+  });
+
+  return {
+    token: rtc.token,
+    channelName: room.channelName,
+    ...binding,
+    role,
+    format: rtc.format,
+    expires_in: rtc.expiresIn,
+  };
+}
+
+export const LEGACY_AGORA_TOKEN_IN_PUSH = getConfig().calls.legacyAgoraTokenInPush;
+
+/**
+ * { agoraToken, agoraUid } for invitation payloads while older clients still
+ * join with `extra.agoraToken`; {} once LEGACY_AGORA_TOKEN_IN_PUSH is off.
+ * The token is the recipient's own, never one supplied by the caller, and is
+ * not stored on the room.
+ */
+export function legacyPushToken(room, recipientUid) {
+  if (!LEGACY_AGORA_TOKEN_IN_PUSH) return {};
+
+  const config = getAgoraConfig();
+  if (!config.appId || !config.appCert) return {};
+
+  const binding = resolveTokenBinding(recipientUid);
+  const { token } = issueRtcToken(config, room, recipientUid, { format: config.format, binding });
+  return { agoraToken: token, agoraUid: binding.uid };
+}
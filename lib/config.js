@@ -0,0 +1,403 @@
+// lib/config.js
+import { readFileSync } from "node:fs";
+import { inspect } from "node:util";
+
+/**
+ * Every setting the backend reads from the environment, parsed and validated
+ * in one place. Modules read `getConfig()` instead of process.env.
+ *
+ * `getConfig()` never throws: a bad value falls back to its default and a
+ * missing secret is null, so importing a module cannot crash. The problems
+ * are collected instead; index.js calls `assertConfig()` at startup and
+ * refuses to start, listing all of them. Serverless functions have no
+ * startup, so code that needs a section checks it on first use (e.g.
+ * `assertConfig("apns")` before the APNs provider is created).
+ *
+ * Environment: APP_ENV, else VERCEL_ENV, else NODE_ENV ("production", or
+ * anything else = "development"); one of development | preview | production.
+ * With none of them set it is "production", so a bare `npm start` never
+ * gets development's error details, localhost CORS or debug logs.
+ * Any variable below can be overridden for one environment with a suffix,
+ * e.g. APN_TEAM_ID_PREVIEW or ALLOWED_ORIGINS_PRODUCTION.
+ *
+ * Secrets can be given inline or as a file path in `<NAME>_FILE`. They are
+ * held as `Secret`s, which print as "[redacted]" (console.log, JSON).
+ *
+ * firebase
+ * - FIREBASE_SERVICE_ACCOUNT (JSON) / FIREBASE_SERVICE_ACCOUNT_FILE => secret,
+ *   required unless FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST
+ * - GCLOUD_PROJECT (optional, default "demo-call-poc") => emulator project
+ * - DATA_STORE (optional, default "firestore") => "firestore" | "memory"
+ *
+ * push, apns
+ * - PUSH_TRANSPORT (optional, default "live") => "live" | "local"
+ * - APN_P8_KEY_FILE (path to the .p8), APN_P8_KEY (its contents) or
+ *   APN_P8_KEY_BASE64 => secret; it and APN_KEY_ID, APN_TEAM_ID are
+ *   required when PUSH_TRANSPORT is "live"
+ * - APN_VOIP_TOPIC (optional, default "bma.agora.poc.voip")
+ * - APN_ENVIRONMENT (optional) => "sandbox" | "production"; production in
+ *   the production environment, sandbox elsewhere (APN_PRODUCTION="true"
+ *   still selects production)
+ *
+ * agora
+ * - AGORA_APP_ID, AGORA_APP_CERT (secret) => required
+ * - AGORA_TOKEN_FORMAT (optional, default "006") => "006" | "007"
+ * - TOKEN_EXPIRY_SECONDS (optional, default 600) => whole-token lifetime
+ * - AGORA_JOIN_EXPIRY_SECONDS, AGORA_PUBLISH_AUDIO_EXPIRY_SECONDS,
+ *   AGORA_PUBLISH_VIDEO_EXPIRY_SECONDS, AGORA_PUBLISH_DATA_EXPIRY_SECONDS,
+ *   RTM_TOKEN_EXPIRY_SECONDS (optional, default TOKEN_EXPIRY_SECONDS)
+ *
+ * calls: see the modules named
+ * - RING_TIMEOUT_SECONDS (default 45)           lib/ringTimeout.js
+ * - MAX_CALL_DURATION_SECONDS (default 7200),
+ *   LEGACY_AGORA_TOKEN_IN_PUSH (default false)  lib/callTokens.js
+ * - MAX_GROUP_PARTICIPANTS (default 8)          lib/invitations.js
+ * - BUSY_POLICY (default "reject")              lib/busy.js
+ * - CALL_PERMISSION_POLICY (default "open"),
+ *   DEFAULT_WHO_CAN_CALL (default "everyone")   lib/callPermissions.js
+ * - MATCHES_COLLECTION (default "matches")      lib/schema.js
+ *
+ * cors: see lib/cors.js
+ * - ALLOWED_ORIGINS, CORS_ALLOWED_HEADERS, DEBUG_CORS
+ *
+ * server: see index.js and lib/server.js
+ * - PORT (default 3000), HOST, SHUTDOWN_TIMEOUT_MS (default 10000),
+ *   MAX_BODY_BYTES (default 1048576)
+ *
+ * log: see lib/log.js
+ * - LOG_LEVEL (optional) => debug | info | warn | error; "debug" in
+ *   development, "info" elsewhere
+ * - EXPOSE_ERROR_DETAILS (optional) => 500 responses carry the error message
+ *   and stack; on in development only by default
+ *
+ * cron
+ * - CRON_SECRET (secret, optional) => api/sweepMissedCalls refuses every
+ *   request without it
+ */
+
+export const ENVIRONMENTS = ["development", "preview", "production"];
+
+const REDACTED = "[redacted]";
+
+// A value that must never end up in logs or responses; `reveal()` to use it.
+export class Secret {
+  #value;
+
+  constructor(value) {
+    this.#value = value;
+  }
+
+  reveal() {
+    return this.#value;
+  }
+
+  toString() {
+    return REDACTED;
+  }
+
+  toJSON() {
+    return REDACTED;
+  }
+
+  [inspect.custom]() {
+    return REDACTED;
+  }
+}
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((p) => `  - ${p.message}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+export function resolveEnvironment(env = process.env) {
+  const explicit = env.APP_ENV || env.VERCEL_ENV;
+  if (ENVIRONMENTS.includes(explicit)) return explicit;
+  if (!env.NODE_ENV) return "production";
+  return env.NODE_ENV === "production" ? "production" : "development";
+}
+
+// Typed accessors over `env` that record what is wrong in `problems`.
+function createReader(env, environment, problems) {
+  const suffix = `_${environment.toUpperCase()}`;
+  let section = null;
+
+  const problem = (message) => problems.push({ section, message });
+
+  function raw(name) {
+    for (const key of [`${name}${suffix}`, name]) {
+      const value = env[key];
+      if (value !== undefined && String(value).trim() !== "") return { key, value: String(value).trim() };
+    }
+    return null;
+  }
+
+  function readFile(name) {
+    const found = raw(`${name}_FILE`);
+    if (!found) return null;
+    try {
+      return readFileSync(found.value, "utf8");
+    } catch (err) {
+      problem(`${found.key}: cannot read ${found.value} (${err.code || err.message})`);
+      return null;
+    }
+  }
+
+  return {
+    section(name) {
+      section = name;
+    },
+
+    problem,
+
+    string(name, fallback = null) {
+      return raw(name)?.value ?? fallback;
+    },
+
+    int(name, fallback, { min = 1 } = {}) {
+      const found = raw(name);
+      if (!found) return fallback;
+      const n = Number(found.value);
+      if (!Number.isInteger(n) || n < min) {
+        problem(`${found.key} must be an integer >= ${min} (got "${found.value}")`);
+        return fallback;
+      }
+      return n;
+    },
+
+    bool(name, fallback = false) {
+      const found = raw(name);
+      if (!found) return fallback;
+      if (found.value !== "true" && found.value !== "false") {
+        problem(`${found.key} must be "true" or "false" (got "${found.value}")`);
+        return fallback;
+      }
+      return found.value === "true";
+    },
+
+    oneOf(name, values, fallback) {
+      const found = raw(name);
+      if (!found) return fallback;
+      if (!values.includes(found.value)) {
+        problem(`${found.key} must be one of ${values.join(", ")} (got "${found.value}")`);
+        return fallback;
+      }
+      return found.value;
+    },
+
+    list(name) {
+      return (raw(name)?.value || "").split(",").map((v) => v.trim()).filter(Boolean);
+    },
+
+    // Inline value or `<name>_FILE`; both set is a mistake.
+    secretText(name) {
+      const inline = raw(name);
+      const fromFile = readFile(name);
+      if (inline && fromFile !== null) {
+        problem(`Set either ${name} or ${name}_FILE, not both`);
+      }
+      const value = fromFile ?? inline?.value ?? null;
+      return value === null ? null : String(value).trim();
+    },
+  };
+}
+
+function loadFirebase(read) {
+  read.section("firebase");
+  const usesEmulator = !!(read.string("FIRESTORE_EMULATOR_HOST") || read.string("FIREBASE_AUTH_EMULATOR_HOST"));
+  const json = read.secretText("FIREBASE_SERVICE_ACCOUNT");
+
+  let serviceAccount = null;
+  if (json) {
+    try {
+      const parsed = JSON.parse(json);
+      const missing = ["project_id", "client_email", "private_key"].filter((k) => typeof parsed[k] !== "string" || !parsed[k]);
+      if (missing.length) {
+        read.problem(`FIREBASE_SERVICE_ACCOUNT is missing ${missing.join(", ")}`);
+      } else {
+        serviceAccount = new Secret(parsed);
+      }
+    } catch {
+      read.problem("FIREBASE_SERVICE_ACCOUNT is not valid JSON");
+    }
+  } else if (!usesEmulator) {
+    read.problem("FIREBASE_SERVICE_ACCOUNT or FIREBASE_SERVICE_ACCOUNT_FILE is required (or an emulator host)");
+  }
+
+  return {
+    serviceAccount,
+    projectId: serviceAccount?.reveal().project_id || read.string("GCLOUD_PROJECT", "demo-call-poc"),
+    usesEmulator,
+    dataStore: read.oneOf("DATA_STORE", ["firestore", "memory"], "firestore"),
+  };
+}
+
+function loadApns(read, environment, required) {
+  read.section("apns");
+  let key = read.secretText("APN_P8_KEY");
+  const base64 = read.secretText("APN_P8_KEY_BASE64");
+  if (key && base64) {
+    read.problem("Set either APN_P8_KEY / APN_P8_KEY_FILE or APN_P8_KEY_BASE64, not both");
+  }
+  if (!key && base64) {
+    key = Buffer.from(base64, "base64").toString("utf8").trim();
+  }
+  if (key && !key.includes("BEGIN PRIVATE KEY")) {
+    read.problem("The APNs key is not a .p8 private key (APN_P8_KEY_FILE / APN_P8_KEY_BASE64)");
+    key = null;
+  }
+
+  const keyId = read.string("APN_KEY_ID");
+  const teamId = read.string("APN_TEAM_ID");
+  if (required) {
+    if (!key) read.problem("APN_P8_KEY_FILE or APN_P8_KEY_BASE64 is required when PUSH_TRANSPORT is \"live\"");
+    if (!keyId) read.problem("APN_KEY_ID is required when PUSH_TRANSPORT is \"live\"");
+    if (!teamId) read.problem("APN_TEAM_ID is required when PUSH_TRANSPORT is \"live\"");
+  }
+
+  const defaultEnvironment = read.bool("APN_PRODUCTION") || environment === "production" ? "production" : "sandbox";
+  return {
+    key: key ? new Secret(key) : null,
+    keyId,
+    teamId,
+    topic: read.string("APN_VOIP_TOPIC", "bma.agora.poc.voip"),
+    environment: read.oneOf("APN_ENVIRONMENT", ["sandbox", "production"], defaultEnvironment),
+  };
+}
+
+function loadAgora(read) {
+  read.section("agora");
+  const appId = read.string("AGORA_APP_ID");
+  const appCert = read.secretText("AGORA_APP_CERT");
+  if (!appId) read.problem("AGORA_APP_ID is required");
+  if (!appCert) read.problem("AGORA_APP_CERT or AGORA_APP_CERT_FILE is required");
+
+  const expirySeconds = read.int("TOKEN_EXPIRY_SECONDS", 600);
+  return {
+    appId,
+    appCert: appCert ? new Secret(appCert) : null,
+    format: read.oneOf("AGORA_TOKEN_FORMAT", ["006", "007"], "006"),
+    expirySeconds,
+    privilegeExpiry: {
+      join: read.int("AGORA_JOIN_EXPIRY_SECONDS", expirySeconds),
+      publishAudio: read.int("AGORA_PUBLISH_AUDIO_EXPIRY_SECONDS", expirySeconds),
+      publishVideo: read.int("AGORA_PUBLISH_VIDEO_EXPIRY_SECONDS", expirySeconds),
+      publishDataStream: read.int("AGORA_PUBLISH_DATA_EXPIRY_SECONDS", expirySeconds),
+    },
+    rtmExpirySeconds: read.int("RTM_TOKEN_EXPIRY_SECONDS", expirySeconds),
+  };
+}
+
+function loadCalls(read) {
+  read.section("calls");
+  return {
+    ringTimeoutSeconds: read.int("RING_TIMEOUT_SECONDS", 45),
+    maxCallDurationSeconds: read.int("MAX_CALL_DURATION_SECONDS", 7200),
+    legacyAgoraTokenInPush: read.bool("LEGACY_AGORA_TOKEN_IN_PUSH"),
+    maxGroupParticipants: read.int("MAX_GROUP_PARTICIPANTS", 8, { min: 2 }),
+    busyPolicy: read.oneOf("BUSY_POLICY", ["reject", "notify", "waiting"], "reject"),
+    permissionPolicy: read.oneOf("CALL_PERMISSION_POLICY", ["open", "matches"], "open"),
+    defaultWhoCanCall: read.oneOf("DEFAULT_WHO_CAN_CALL", ["everyone", "matches", "nobody"], "everyone"),
+    matchesCollection: read.string("MATCHES_COLLECTION", "matches"),
+  };
+}
+
+function loadCors(read) {
+  read.section("cors");
+  const origins = read.list("ALLOWED_ORIGINS");
+  const invalid = origins.filter((o) => !/^https?:\/\/(\*\.)?[a-z0-9.-]+(:\d+)?$/i.test(o));
+  if (invalid.length) {
+    read.problem(`ALLOWED_ORIGINS has invalid entries: ${invalid.join(", ")}`);
+  }
+  return {
+    origins: origins.filter((o) => !invalid.includes(o)),
+    allowedHeaders: read.list("CORS_ALLOWED_HEADERS").map((h) => h.toLowerCase()),
+    debug: read.bool("DEBUG_CORS"),
+  };
+}
+
+function loadServer(read) {
+  read.section("server");
+  return {
+    port: read.int("PORT", 3000),
+    host: read.string("HOST"),
+    shutdownTimeoutMs: read.int("SHUTDOWN_TIMEOUT_MS", 10000),
+    maxBodyBytes: read.int("MAX_BODY_BYTES", 1024 * 1024),
+  };
+}
+
+function loadLog(read, environment) {
+  read.section("log");
+  return {
+    level: read.oneOf("LOG_LEVEL", ["debug", "info", "warn", "error"], environment === "development" ? "debug" : "info"),
+    exposeErrors: read.bool("EXPOSE_ERROR_DETAILS", environment === "development"),
+  };
+}
+
+/**
+ * Parses `env` into { config, problems } without throwing. Each problem is
+ * { section, message }.
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const environment = resolveEnvironment(env);
+  const read = createReader(env, environment, problems);
+
+  read.section("push");
+  const push = { transport: read.oneOf("PUSH_TRANSPORT", ["live", "local"], "live") };
+
+  const firebase = loadFirebase(read);
+  const apns = loadApns(read, environment, push.transport === "live");
+  const agora = loadAgora(read);
+  const calls = loadCalls(read);
+  const cors = loadCors(read);
+  const server = loadServer(read);
+  const log = loadLog(read, environment);
+
+  read.section("cron");
+  const cronSecret = read.secretText("CRON_SECRET");
+
+  const config = {
+    environment,
+    firebase,
+    push,
+    apns,
+    agora,
+    calls,
+    cors,
+    server,
+    log,
+    cron: { secret: cronSecret ? new Secret(cronSecret) : null },
+  };
+  return { config, problems };
+}
+
+let loaded = null;
+
+function load() {
+  if (!loaded) loaded = loadConfig();
+  return loaded;
+}
+
+export function getConfig() {
+  return load().config;
+}
+
+/**
+ * Throws a ConfigError listing every problem, or only those of the given
+ * section(s). Returns the config otherwise.
+ */
+export function assertConfig(sections) {
+  const { config, problems } = load();
+  const wanted = sections ? [].concat(sections) : null;
+  const relevant = wanted ? problems.filter((p) => wanted.includes(p.section)) : problems;
+  if (relevant.length) throw new ConfigError(relevant);
+  return config;
+}
+
+// Drops the cached config, e.g. after changing process.env in a script.
+export function resetConfig() {
+  loaded = null;
+}
@@ -0,0 +1,122 @@
+// lib/cors.js
+import { getConfig } from "./config.js";
+import { log } from "./log.js";
+
+/**
+ * CORS policy for every api/ handler (applied through handlePreflight in
+ * lib/http.js).
+ *
+ * - Allowed origins are exact ("https://flirtbate.web.app") or wildcard
+ *   subdomain patterns ("https://*.flirtbate.app", which does not match the
+ *   bare domain). An allowed origin is echoed back with credentials; any
+ *   other origin gets no Access-Control-Allow-* headers at all, so the
+ *   browser blocks the response.
+ * - http://localhost and http://127.0.0.1 (any port) are only allowed in
+ *   development.
+ * - Preflights advertise a fixed allow-list of request headers; whatever
+ *   the browser asks for in Access-Control-Request-Headers is never echoed.
+ * - Preflights answer 204 with no body.
+ *
+ * Settings: `cors` in lib/config.js
+ * - ALLOWED_ORIGINS (optional) => comma-separated origins / patterns;
+ *   ALLOWED_ORIGINS_<ENV> (e.g. ALLOWED_ORIGINS_PREVIEW) replaces it in that
+ *   environment
+ * - CORS_ALLOWED_HEADERS (optional) => extra request headers to allow
+ * - DEBUG_CORS (optional "true") => log every decision
+ */
+
+const DEFAULT_ALLOWED_ORIGINS = [
+  "https://flirtbate.web.app",
+  "https://your-app.web.app",
+];
+
+const ALLOWED_REQUEST_HEADERS = [
+  "content-type",
+  "authorization",
+  "x-requested-with",
+  "x-client-id",
+  "x-firebase-locale",
+  "x-vercel-protection-bypass",
+  "x-request-id",
+];
+
+// Response headers browser code may read.
+const EXPOSED_HEADERS = ["Idempotent-Replayed", "X-Request-Id"];
+
+const MAX_AGE_SECONDS = 3600;
+
+// Exact origins compare as strings; "https://*.example.com" matches one or
+// more subdomain labels in front of example.com, over that scheme only.
+function originMatcher(pattern) {
+  const match = /^(https?):\/\/\*\.(.+)$/.exec(pattern);
+  if (!match) return (origin) => origin === pattern;
+
+  const [, scheme, domain] = match;
+  const escaped = domain.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const regex = new RegExp(`^${scheme}:\\/\\/[a-z0-9-]+(\\.[a-z0-9-]+)*\\.${escaped}(:\\d+)?$`, "i");
+  return (origin) => regex.test(origin);
+}
+
+const LOCALHOST_ORIGIN = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+// The policy for `config` (see loadConfig in lib/config.js).
+export function createCorsPolicy(config = getConfig()) {
+  const { environment, cors } = config;
+  const origins = cors.origins.length ? cors.origins : DEFAULT_ALLOWED_ORIGINS;
+  const matchers = origins.map(originMatcher);
+  const allowLocalhost = environment === "development";
+  const allowedHeaders = [...new Set([...ALLOWED_REQUEST_HEADERS, ...cors.allowedHeaders])];
+
+  return {
+    environment,
+    origins,
+    allowedHeaders,
+    debug: cors.debug,
+    isAllowedOrigin(origin) {
+      if (!origin) return false;
+      if (allowLocalhost && LOCALHOST_ORIGIN.test(origin)) return true;
+      return matchers.some((matches) => matches(origin));
+    },
+  };
+}
+
+let policy = null;
+
+function getCorsPolicy() {
+  if (!policy) policy = createCorsPolicy();
+  return policy;
+}
+
+/**
+ * Sets the CORS headers for `req` on `res`. `methods` are the methods the
+ * handler accepts. Returns whether the origin was allowed (requests without
+ * an Origin header, i.e. not from a browser, get no CORS headers).
+ */
+export function applyCors(req, res, methods) {
+  const { isAllowedOrigin, allowedHeaders, debug } = getCorsPolicy();
+  const origin = req.headers.origin;
+  res.setHeader("Vary", "Origin");
+
+  const allowed = isAllowedOrigin(origin);
+  if (allowed) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+    if (req.method === "OPTIONS") {
+      res.setHeader("Access-Control-Allow-Methods", [...methods, "OPTIONS"].join(","));
+      res.setHeader("Access-Control-Allow-Headers", allowedHeaders.join(", "));
+      res.setHeader("Access-Control-Max-Age", String(MAX_AGE_SECONDS));
+    } else {
+      res.setHeader("Access-Control-Expose-Headers", EXPOSED_HEADERS.join(", "));
+    }
+  }
+
+  if (debug) {
+    log.info("CORS", {
+      origin,
+      allowed,
+      method: req.method,
+      requestedHeaders: req.headers["access-control-request-headers"] || "",
+    });
+  }
+  return allowed;
+}
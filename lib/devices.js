@@ -0,0 +1,210 @@
+// lib/devices.js
+import { HttpError } from "./http.js";
+import { devices, users } from "./repositories/index.js";
+import { field, schema } from "./validation.js";
+
+/**
+ * Per-user device registry (user/{uid}/devices, see lib/schema.js).
+ *
+ * Users that predate the registry only have `fcmToken` / `voipToken` /
+ * `platform` on the user document; those are surfaced as a single "legacy"
+ * device so every push path can treat both shapes the same way.
+ */
+
+export const LEGACY_DEVICE_ID = "legacy";
+
+function legacyDevice(uid, userData) {
+  if (!userData || (!userData.fcmToken && !userData.voipToken)) return null;
+  return {
+    id: LEGACY_DEVICE_ID,
+    uid,
+    platform: (userData.platform || "android").toLowerCase(),
+    fcmToken: userData.fcmToken || null,
+    voipToken: userData.voipToken || null,
+  };
+}
+
+/**
+ * Lists every push target for `uid`. Pass `userData` when the user document
+ * was already read to fall back to its legacy token fields.
+ */
+export async function getUserDevices(uid, userData) {
+  if (!uid) return [];
+
+  const registered = (await devices.list(uid))
+    .filter((d) => d.fcmToken || d.voipToken)
+    .map((d) => ({ ...d, platform: (d.platform || "android").toLowerCase() }));
+  if (registered.length) return registered;
+
+  const data = userData === undefined ? await users.get(uid) : userData;
+  const legacy = legacyDevice(uid, data);
+  return legacy ? [legacy] : [];
+}
+
+// Devices of several users, e.g. everyone still ringing in a group call.
+export async function getDevicesForUsers(uids) {
+  const lists = await Promise.all([...new Set(uids)].map((uid) => getUserDevices(uid)));
+  return lists.flat();
+}
+
+export const PLATFORMS = ["ios", "android", "web"];
+export const APNS_ENVIRONMENTS = ["sandbox", "production"];
+
+// PushKit tokens are the hex encoding of a 32-byte (historically up to 100-byte) blob.
+const APNS_TOKEN_RE = /^[0-9a-f]{64,200}$/i;
+// FCM registration tokens: base64url-ish, usually "<instance id>:<APA91b…>".
+const FCM_TOKEN_RE = /^[A-Za-z0-9_:-]{32,4096}$/;
+const DEVICE_ID_RE = /^[A-Za-z0-9_-]{1,128}$/;
+const BUNDLE_ID_RE = /^[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/;
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim() !== "";
+}
+
+/**
+ * Request body of api/registerDevice and api/refreshDevice. Only types and
+ * sizes are checked here; formats are up to validateDeviceFields.
+ */
+export const DEVICE_BODY = schema({
+  deviceId: field.string({ required: true, max: 128 }),
+  platform: field.string({ max: 16 }),
+  fcmToken: field.string({ max: 4096 }),
+  voipToken: field.string({ max: 200 }),
+  bundleId: field.string({ max: 256 }),
+  environment: field.string({ max: 16 }),
+  appVersion: field.string({ max: 64 }),
+  uid: field.string({ max: 128 }),
+});
+
+/**
+ * Validates a register/refresh body and returns the normalized device fields.
+ * `partial` (refresh) allows omitting platform and tokens.
+ */
+export function validateDeviceFields(body, { partial = false } = {}) {
+  const { deviceId, fcmToken, voipToken, bundleId, environment, appVersion } = body || {};
+  const platform = isNonEmptyString(body?.platform) ? body.platform.trim().toLowerCase() : undefined;
+
+  if (!isNonEmptyString(deviceId) || !DEVICE_ID_RE.test(deviceId)) {
+    throw new HttpError(400, "invalid_device_id", "deviceId must be 1-128 letters, digits, '-' or '_'");
+  }
+  // Reserved for the token fields on the user document (see legacyDevice).
+  if (deviceId === LEGACY_DEVICE_ID) {
+    throw new HttpError(400, "invalid_device_id", `deviceId "${LEGACY_DEVICE_ID}" is reserved`);
+  }
+  if (!partial || platform !== undefined) {
+    if (!PLATFORMS.includes(platform)) {
+      throw new HttpError(400, "invalid_platform", `platform must be one of ${PLATFORMS.join(", ")}`);
+    }
+  }
+  if (!partial && !fcmToken && !voipToken) {
+    throw new HttpError(400, "missing_token", "fcmToken or voipToken is required");
+  }
+
+  const fields = {};
+  if (platform !== undefined) fields.platform = platform;
+
+  if (fcmToken !== undefined && fcmToken !== null) {
+    // A 64-char hex string is an APNs token filed under the wrong key.
+    if (!isNonEmptyString(fcmToken) || !FCM_TOKEN_RE.test(fcmToken) || APNS_TOKEN_RE.test(fcmToken)) {
+      throw new HttpError(400, "invalid_fcm_token", "fcmToken is not a valid FCM registration token");
+    }
+    fields.fcmToken = fcmToken;
+  }
+
+  if (voipToken !== undefined && voipToken !== null) {
+    if (platform !== undefined && platform !== "ios") {
+      throw new HttpError(400, "invalid_voip_token", "voipToken is only valid for ios devices");
+    }
+    if (!isNonEmptyString(voipToken) || !APNS_TOKEN_RE.test(voipToken)) {
+      throw new HttpError(400, "invalid_voip_token", "voipToken must be a hex APNs device token");
+    }
+    fields.voipToken = voipToken.toLowerCase();
+  }
+
+  if (bundleId !== undefined) {
+    if (!isNonEmptyString(bundleId) || !BUNDLE_ID_RE.test(bundleId)) {
+      throw new HttpError(400, "invalid_bundle_id", "bundleId must be a reverse-DNS identifier");
+    }
+    fields.bundleId = bundleId;
+  }
+
+  if (environment !== undefined) {
+    if (!APNS_ENVIRONMENTS.includes(environment)) {
+      throw new HttpError(400, "invalid_environment", `environment must be one of ${APNS_ENVIRONMENTS.join(", ")}`);
+    }
+    fields.environment = environment;
+  } else if (!partial && platform === "ios") {
+    fields.environment = "production";
+  }
+
+  if (appVersion !== undefined) {
+    if (!isNonEmptyString(appVersion) || appVersion.length > 64) {
+      throw new HttpError(400, "invalid_app_version", "appVersion must be a short string");
+    }
+    fields.appVersion = appVersion;
+  }
+
+  return { deviceId, fields };
+}
+
+/**
+ * A push token belongs to exactly one device. When it shows up on another
+ * account (shared phone, re-login) or another device id, the stale copies
+ * are released: the token field is cleared (the entry is deleted once it has
+ * no token left) and legacy user fields are removed.
+ */
+async function releaseTokenElsewhere(uid, deviceId, field, token) {
+  const [holders, legacyHolders] = await Promise.all([
+    devices.findByToken(field, token),
+    users.findByLegacyToken(field, token),
+  ]);
+
+  const results = await Promise.all([
+    ...holders
+      .filter((d) => !(d.id === deviceId && d.uid === uid))
+      .map((d) => devices.releaseToken(d.uid, d.id, field, token)),
+    ...legacyHolders.map((u) => users.releaseLegacyToken(u.uid, field, token)),
+  ]);
+  return results.filter(Boolean).length;
+}
+
+async function releaseTokens(uid, deviceId, fields) {
+  let released = 0;
+  for (const field of ["fcmToken", "voipToken"]) {
+    if (fields[field]) released += await releaseTokenElsewhere(uid, deviceId, field, fields[field]);
+  }
+  return released;
+}
+
+export async function registerDevice(uid, body) {
+  const { deviceId, fields } = validateDeviceFields(body);
+
+  const released = await releaseTokens(uid, deviceId, fields);
+  const device = await devices.save(uid, deviceId, { ...fields, lastSeenAt: Date.now() });
+
+  return { ...device, released };
+}
+
+export async function refreshDevice(uid, body) {
+  const { deviceId, fields } = validateDeviceFields(body, { partial: true });
+
+  const current = await devices.get(uid, deviceId);
+  if (!current) {
+    throw new HttpError(404, "device_not_found", "Device is not registered");
+  }
+  if (fields.voipToken && (fields.platform || current.platform) !== "ios") {
+    throw new HttpError(400, "invalid_voip_token", "voipToken is only valid for ios devices");
+  }
+
+  const released = await releaseTokens(uid, deviceId, fields);
+  const update = await devices.update(uid, deviceId, { ...fields, lastSeenAt: Date.now() });
+
+  return { ...current, ...update, released };
+}
+
+export async function unregisterDevice(uid, deviceId) {
+  if (!isNonEmptyString(deviceId)) {
+    throw new HttpError(400, "invalid_device_id", "deviceId is required");
+  }
+  return devices.remove(uid, deviceId);
+}
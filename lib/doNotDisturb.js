@@ -0,0 +1,132 @@
+// lib/doNotDisturb.js
+import { HttpError } from "./http.js";
+import { log } from "./log.js";
+
+/**
+ * Do-not-disturb for incoming calls, read from user/{uid}.callSettings:
+ *
+ *   doNotDisturb   manual toggle
+ *   quietHours     { start: "22:00", end: "07:00", timeZone: "Europe/Berlin" }
+ *                  or null; a window may cross midnight, start == end is off
+ *   favoriteUids   callers who still ring through either of the above
+ *
+ * A suppressed invitee is recorded as missed and gets a plain notification
+ * (see sendMissedCallNotification in lib/push.js) instead of a CallKit ring.
+ * Blocks and whoCanCall (lib/callPermissions.js) are checked first and are
+ * not bypassed by favorites.
+ */
+
+export const SUPPRESSION_REASONS = {
+  DO_NOT_DISTURB: "do_not_disturb",
+  QUIET_HOURS: "quiet_hours",
+};
+
+export const MAX_FAVORITES = 200;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(value);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Minutes since local midnight in `timeZone`.
+function minutesInZone(now, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(now));
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part("hour") * 60 + part("minute");
+}
+
+export function isInQuietHours(quietHours, now = Date.now()) {
+  if (!quietHours) return false;
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  let minutes;
+  try {
+    minutes = minutesInZone(now, quietHours.timeZone || "UTC");
+  } catch (err) {
+    log.warn("Quiet hours time zone error", { timeZone: quietHours.timeZone, error: err.message });
+    return false;
+  }
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Why `user` should not be rung by `callerUid` right now, or null.
+export function suppressionReason(user, callerUid, now = Date.now()) {
+  const settings = user?.callSettings || {};
+  if (Array.isArray(settings.favoriteUids) && settings.favoriteUids.includes(callerUid)) return null;
+  if (settings.doNotDisturb === true) return SUPPRESSION_REASONS.DO_NOT_DISTURB;
+  if (isInQuietHours(settings.quietHours, now)) return SUPPRESSION_REASONS.QUIET_HOURS;
+  return null;
+}
+
+export function doNotDisturbSettingsOf(user) {
+  const settings = user?.callSettings || {};
+  return {
+    doNotDisturb: settings.doNotDisturb === true,
+    quietHours: settings.quietHours || null,
+    favoriteUids: Array.isArray(settings.favoriteUids) ? settings.favoriteUids : [],
+  };
+}
+
+/**
+ * Validates the do-not-disturb fields of an update request. Returns only the
+ * fields present, ready to merge into callSettings; throws 400
+ * invalid_setting otherwise.
+ */
+export function parseDoNotDisturbSettings({ doNotDisturb, quietHours, favoriteUids } = {}) {
+  const update = {};
+
+  if (doNotDisturb !== undefined) {
+    if (typeof doNotDisturb !== "boolean") {
+      throw new HttpError(400, "invalid_setting", "doNotDisturb must be true or false");
+    }
+    update.doNotDisturb = doNotDisturb;
+  }
+
+  if (quietHours !== undefined) {
+    if (quietHours === null) {
+      update.quietHours = null;
+    } else {
+      const { start, end, timeZone } = quietHours || {};
+      if (parseTime(start) === null || parseTime(end) === null) {
+        throw new HttpError(400, "invalid_setting", "quietHours.start and quietHours.end must be HH:MM");
+      }
+      if (typeof timeZone !== "string" || !isValidTimeZone(timeZone)) {
+        throw new HttpError(400, "invalid_setting", "quietHours.timeZone must be an IANA time zone");
+      }
+      update.quietHours = { start, end, timeZone };
+    }
+  }
+
+  if (favoriteUids !== undefined) {
+    if (!Array.isArray(favoriteUids) || favoriteUids.some((id) => typeof id !== "string" || id.trim() === "")) {
+      throw new HttpError(400, "invalid_setting", "favoriteUids must be a list of uids");
+    }
+    const unique = [...new Set(favoriteUids.map((id) => id.trim()))];
+    if (unique.length > MAX_FAVORITES) {
+      throw new HttpError(400, "invalid_setting", `favoriteUids can hold at most ${MAX_FAVORITES} uids`);
+    }
+    update.favoriteUids = unique;
+  }
+
+  return update;
+}
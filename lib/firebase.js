@@ -0,0 +1,68 @@
+// lib/firebase.js
+import { initializeApp, cert, getApps } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { getFirestore } from "firebase-admin/firestore";
+import { getMessaging } from "firebase-admin/messaging";
+import { assertConfig, getConfig } from "./config.js";
+import { createMemoryStore } from "./memoryStore.js";
+
+/**
+ * Shared firebase-admin app for every api/ handler. Nothing is initialized
+ * until first use, so modules can be imported without credentials.
+ * Settings: `firebase` in lib/config.js (service account, emulators,
+ * DATA_STORE).
+ */
+
+function ensureApp() {
+  if (getApps().length) return;
+
+  const { firebase } = assertConfig("firebase");
+  if (!firebase.serviceAccount) {
+    // Only reachable with an emulator host set
+    initializeApp({ projectId: firebase.projectId });
+    return;
+  }
+
+  initializeApp({ credential: cert(firebase.serviceAccount.reveal()) });
+}
+
+let db = null;
+
+export function getDb() {
+  if (!db) {
+    if (getConfig().firebase.dataStore === "memory") {
+      db = createMemoryStore();
+    } else {
+      ensureApp();
+      db = getFirestore();
+    }
+  }
+  return db;
+}
+
+// Swaps the backing store, e.g. a fresh memory store per test.
+export function setDb(store) {
+  db = store;
+  return store;
+}
+
+export function getMessagingClient() {
+  ensureApp();
+  return getMessaging();
+}
+
+let authClient = null;
+
+export function getAuthClient() {
+  if (!authClient) {
+    ensureApp();
+    authClient = getAuth();
+  }
+  return authClient;
+}
+
+// Swaps the ID token verifier, e.g. a stub that trusts test tokens.
+export function setAuthClient(client) {
+  authClient = client;
+  return client;
+}
@@ -0,0 +1,75 @@
+// lib/http.js
+import { getConfig } from "./config.js";
+import { applyCors } from "./cors.js";
+import { beginRequest, currentRequestId, log } from "./log.js";
+
+/**
+ * Small helpers shared by the api/ handlers: CORS and method guards (policy
+ * in lib/cors.js) and a typed error that maps straight onto an HTTP response.
+ *
+ * Every error response has the same body:
+ *
+ *   { code, message, details }
+ *
+ * `code` is stable and meant for the apps to switch on, `message` is for
+ * people, `details` is an object or null. Codes shared by every endpoint:
+ *
+ *   invalid_request      400, body / query failed its schema (lib/validation.js)
+ *   unauthenticated      401
+ *   method_not_allowed   405
+ *   payload_too_large    413
+ *   not_found, invalid_json   404 / 400 from the standalone server (lib/server.js)
+ *   internal_error       500, details: { requestId }; the message and stack are
+ *                        added when EXPOSE_ERROR_DETAILS is on (development)
+ */
+
+export class HttpError extends Error {
+  // `details` (optional) is sent along in the error body.
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function errorBody(code, message, details = null) {
+  return { code, message, details: details ?? null };
+}
+
+/**
+ * Starts request logging (lib/log.js), applies CORS headers and answers
+ * preflight / wrong-method requests. `method` is the accepted method, or a
+ * list of them. Returns true when the response has already been sent.
+ */
+export function handlePreflight(req, res, method = "POST") {
+  const methods = [].concat(method);
+  beginRequest(req, res);
+  applyCors(req, res, methods);
+
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return true;
+  }
+
+  if (!methods.includes(req.method)) {
+    res.setHeader("Allow", [...methods, "OPTIONS"].join(", "));
+    res.status(405).json(errorBody("method_not_allowed", "Method not allowed"));
+    return true;
+  }
+
+  return false;
+}
+
+export function sendError(res, err, label = "Handler error") {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json(errorBody(err.code, err.message, err.details));
+  }
+  log.error(label, err);
+  const details = { requestId: currentRequestId() };
+  if (getConfig().log.exposeErrors) {
+    details.error = { message: err?.message, stack: err?.stack?.split("\n").slice(0, 10) };
+  }
+  return res.status(500).json(errorBody("internal_error", "Internal server error", details));
+}
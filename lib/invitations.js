@@ -0,0 +1,174 @@
+// lib/invitations.js
+import { createHash } from "node:crypto";
+import { isActiveParticipantState, participantsOf } from "./callState.js";
+import { legacyPushToken } from "./callTokens.js";
+import { getConfig } from "./config.js";
+import { HttpError } from "./http.js";
+import { sendCallInvitationToDevices } from "./push.js";
+import { invitations, users } from "./repositories/index.js";
+import { RING_TIMEOUT_MS } from "./ringTimeout.js";
+import { field } from "./validation.js";
+
+/**
+ * Ringing people into a room, shared by api/sendCallInvitation (new calls)
+ * and api/addParticipants (running calls), plus the idempotency record that
+ * makes a retried sendCallInvitation safe.
+ *
+ * Settings (lib/config.js):
+ * - MAX_GROUP_PARTICIPANTS (optional, default 8) => caller included
+ */
+
+export const MAX_GROUP_PARTICIPANTS = getConfig().calls.maxGroupParticipants;
+
+// Accepts one username or a list; returns the trimmed, de-duplicated list.
+export function normalizeRecipientIds(value) {
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.length || list.some((id) => typeof id !== "string" || id.trim() === "")) {
+    throw new HttpError(400, "invalid_recipients", "recipients must be non-empty usernames");
+  }
+  return [...new Set(list.map((id) => id.trim()))];
+}
+
+/**
+ * Resolves usernames to users. Throws 404 listing every unknown username.
+ * Returns [{ username, uid, data }] in request order.
+ */
+export async function lookupRecipients(usernames) {
+  const found = await Promise.all(usernames.map((username) => users.findByUsername(username)));
+  const missing = usernames.filter((_, i) => !found[i]);
+  if (missing.length) {
+    throw new HttpError(404, "recipient_not_found", "Recipient not found", { missing });
+  }
+  return found.map((user, i) => ({ username: usernames[i], uid: user.uid, data: user }));
+}
+
+// Everyone ringing or joined, caller and recipient included.
+export function activeParticipantCount(room) {
+  return Object.values(participantsOf(room)).filter((p) => isActiveParticipantState(p.state)).length;
+}
+
+/**
+ * CallKit payload for one recipient. `isGroup` / `participantCount` let the
+ * device show "Alice and 2 others"; they sit in `extra` too because the VoIP
+ * push only forwards id, nameCaller, handle, type and extra.
+ */
+export function buildInvitationPayload(room, recipient, { callWaiting = false } = {}) {
+  const group = { isGroup: !!room.isGroup, participantCount: activeParticipantCount(room) };
+
+  return {
+    id: room.callId,
+    nameCaller: room.callerName || room.callerUid,
+    handle: room.callerUid,
+    type: room.callType === "video" ? 1 : 0,
+    duration: RING_TIMEOUT_MS,
+    callAction: "create",
+    callWaiting,
+    ...group,
+    roomId: room.channelName,
+    channelName: room.channelName,
+
+    extra: {
+      agoraAppId: room.agoraAppId,
+      // No token rides along unless LEGACY_AGORA_TOKEN_IN_PUSH is on
+      ...legacyPushToken(room, recipient.uid),
+      channelName: room.channelName,
+      roomId: room.channelName,
+      callerUid: room.callerUid,
+      recipientId: recipient.username,
+      callWaiting,
+      ...group,
+    },
+  };
+}
+
+// `extra` keys the server sets; callers cannot override them.
+const RESERVED_EXTRA_KEYS = [
+  "agoraAppId", "agoraToken", "channelName", "roomId", "callerUid", "recipientId",
+  "callWaiting", "isGroup", "participantCount", "requestId",
+];
+
+/**
+ * What a caller may set in the CallKit payload (`payload` in
+ * api/sendCallInvitation): display fields, plus custom `extra` entries next
+ * to the server's. Anything else (id, handle, type, ...) is refused.
+ */
+export const PAYLOAD_OVERRIDES = field.object({
+  avatar: field.string({ max: 2048, pattern: /^https:\/\/\S+$/ }),
+  appName: field.string({ max: 64 }),
+  textAccept: field.string({ max: 32 }),
+  textDecline: field.string({ max: 32 }),
+  extra: field.record(field.scalar({ max: 512 }), { maxKeys: 20, reserved: RESERVED_EXTRA_KEYS }),
+}, { strict: true });
+
+// `payload` with validated PAYLOAD_OVERRIDES applied.
+export function applyPayloadOverrides(payload, overrides) {
+  if (!overrides) return payload;
+  const { extra, ...fields } = overrides;
+  return { ...payload, ...fields, extra: { ...extra, ...payload.extra } };
+}
+
+/**
+ * Rings every device of one recipient. `overrides` are validated
+ * PAYLOAD_OVERRIDES. Returns { payload, deliveries }.
+ */
+export async function ringRecipient(room, recipient, devices, { callWaiting = false, overrides } = {}) {
+  const payload = applyPayloadOverrides(buildInvitationPayload(room, recipient, { callWaiting }), overrides);
+  if (!devices.length) return { payload, deliveries: [] };
+
+  const deliveries = await sendCallInvitationToDevices(devices, payload, {
+    callType: room.callType,
+    callerName: room.callerName || room.callerUid,
+    callId: room.callId,
+  });
+  return { payload, deliveries };
+}
+
+// A pending claim older than this is assumed dead (crashed handler) and taken over.
+const INVITATION_LEASE_MS = 30 * 1000;
+const INVITATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Treats `callId` as an idempotency key for a sendCallInvitation body.
+ * Resolves with the stored { status, body } when the same request already
+ * completed, or null when this attempt should go ahead (settle it with
+ * settleInvitation). A different body under the same callId is refused.
+ */
+export async function claimInvitation(callId, callerUid, body) {
+  const fingerprint = createHash("sha256").update(canonicalJson(body)).digest("hex");
+  const result = await invitations.claim(String(callId), {
+    callerUid,
+    fingerprint,
+    leaseMs: INVITATION_LEASE_MS,
+    ttlMs: INVITATION_TTL_MS,
+  });
+
+  switch (result.outcome) {
+    case "conflict":
+      throw new HttpError(409, "call_id_conflict", "callId was already used for a different invitation");
+    case "in_progress":
+      throw new HttpError(409, "invitation_in_progress", "An invitation with this callId is still being sent");
+    case "replay":
+      return result.response;
+    default:
+      return null;
+  }
+}
+
+// Successful results are kept for replay; anything else frees the callId so
+// a retry is evaluated again (e.g. the recipient is no longer busy).
+export async function settleInvitation(callId, status, body) {
+  if (status === 200) {
+    await invitations.complete(String(callId), { status, body: JSON.parse(JSON.stringify(body)) });
+  } else {
+    await invitations.release(String(callId));
+  }
+}
@@ -0,0 +1,158 @@
+// lib/log.js
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createHash, randomUUID } from "node:crypto";
+import { getConfig, Secret } from "./config.js";
+
+/**
+ * Structured logging: one JSON object per line,
+ *
+ *   {"time":"…","level":"info","msg":"Room saved","requestId":"…","channelName":"…"}
+ *
+ * at or above LOG_LEVEL (lib/config.js). Fields are redacted before they are
+ * written, by key name, at any depth:
+ * - credentials (agoraToken, voipToken, authorization, …) become "[redacted]"
+ * - usernames and display names (username, recipientId, callerName, …)
+ *   become a short hash, so one person's lines still match up
+ * - Errors become { name, message, code, status, stack }
+ *
+ * Every api/ request gets a request id (the caller's X-Request-Id when it
+ * looks sane, else a new one), echoed in the X-Request-Id response header,
+ * added to each log line written while the request runs, and sent along in
+ * the push payloads it triggers (lib/push.js) so device logs can be matched
+ * with the server's.
+ */
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const REDACTED = "[redacted]";
+
+// Keys ending in one of these hold credentials.
+const SECRET_KEY = /(token|secret|password|authorization|cookie|cert|privatekey|private_key)$/i;
+
+// Keys holding a username or a display name.
+const PERSONAL_KEYS = new Set([
+  "username", "usernames", "recipientid", "recipientids", "recipient", "recipients",
+  "callername", "namecaller", "name", "displayname", "email", "phone", "phonenumber",
+]);
+
+const MAX_DEPTH = 8;
+
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+const requests = new WeakMap();
+
+function pseudonym(value) {
+  return `~${createHash("sha256").update(String(value)).digest("hex").slice(0, 10)}`;
+}
+
+function serializeError(err) {
+  const out = { name: err.name, message: err.message };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.status !== undefined) out.status = err.status;
+  if (err.stack) out.stack = err.stack;
+  return out;
+}
+
+/**
+ * A copy of `value` that is safe to log (see above). `personal` is set for
+ * the value of a personal key (a string, or a list of them); objects below
+ * it are judged by their own keys.
+ */
+export function redact(value, personal = false, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+  if (value instanceof Secret) return REDACTED;
+  if (typeof value !== "object") {
+    return personal && typeof value === "string" ? pseudonym(value) : value;
+  }
+  if (seen.has(value)) return "[circular]";
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  seen.add(value);
+
+  if (value instanceof Error) return redact(serializeError(value), false, depth + 1, seen);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map((v) => redact(v, personal, depth + 1, seen));
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (SECRET_KEY.test(key)) {
+      out[key] = v === null || v === undefined || v === "" ? v : REDACTED;
+    } else {
+      out[key] = redact(v, PERSONAL_KEYS.has(key.toLowerCase()), depth + 1, seen);
+    }
+  }
+  return out;
+}
+
+function write(level, bindings, msg, fields) {
+  const config = getConfig().log;
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(config.level)) return;
+
+  const extra = fields instanceof Error ? { err: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: currentRequestId() ?? undefined,
+    ...redact({ ...bindings, ...extra }),
+  };
+  const line = JSON.stringify(entry);
+  if (level === "error" || level === "warn") {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Logger with `bindings` added to every line. Each level takes a message and
+ * optional fields (an Error is logged as `err`).
+ */
+export function createLogger(bindings = {}) {
+  const logger = { child: (more) => createLogger({ ...bindings, ...more }) };
+  for (const level of LOG_LEVELS) {
+    logger[level] = (msg, fields) => write(level, bindings, msg, fields);
+  }
+  return logger;
+}
+
+export const log = createLogger();
+
+export function currentRequestId() {
+  return context.getStore()?.requestId ?? null;
+}
+
+function requestIdFor(req) {
+  const given = req.headers["x-request-id"] || req.headers["x-vercel-id"];
+  return typeof given === "string" && REQUEST_ID.test(given) ? given : randomUUID();
+}
+
+function startRequest(req, res) {
+  let store = requests.get(req);
+  if (!store) {
+    store = { requestId: requestIdFor(req) };
+    requests.set(req, store);
+    if (!res.headersSent) res.setHeader("X-Request-Id", store.requestId);
+  }
+  return store;
+}
+
+/**
+ * Runs `fn` with `req`'s request id in scope (lib/server.js wraps each
+ * request in this).
+ */
+export function runWithRequest(req, res, fn) {
+  return context.run(startRequest(req, res), fn);
+}
+
+/**
+ * Puts `req`'s request id in scope for the rest of the calling handler, for
+ * handlers invoked directly by the platform. Called by handlePreflight and
+ * the other request entry points; repeated calls are harmless.
+ */
+export function beginRequest(req, res) {
+  const store = startRequest(req, res);
+  if (context.getStore() !== store) context.enterWith(store);
+  return store.requestId;
+}
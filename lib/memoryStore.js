@@ -0,0 +1,396 @@
+// lib/memoryStore.js
+import { FieldValue } from "firebase-admin/firestore";
+
+/**
+ * In-memory stand-in for the subset of the Firestore API the repositories
+ * use: collection / collectionGroup queries (where, orderBy, limit,
+ * startAfter), document get / set / create / update / delete, batches,
+ * transactions and the FieldValue sentinels (delete, increment, arrayUnion,
+ * arrayRemove, serverTimestamp).
+ *
+ * Selected with DATA_STORE=memory; data lives for the life of the process.
+ */
+
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+
+function storeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof FieldValue);
+}
+
+function getPath(data, fieldPath) {
+  return fieldPath.split(".").reduce((o, k) => (o == null ? undefined : o[k]), data);
+}
+
+// Applies one value (possibly a FieldValue sentinel) at obj[key].
+function applyValue(obj, key, value) {
+  if (!(value instanceof FieldValue)) {
+    obj[key] = clone(value);
+    return;
+  }
+  switch (value.methodName) {
+    case "FieldValue.delete":
+      delete obj[key];
+      break;
+    case "FieldValue.increment":
+      obj[key] = (typeof obj[key] === "number" ? obj[key] : 0) + value.operand;
+      break;
+    case "FieldValue.arrayUnion": {
+      const current = Array.isArray(obj[key]) ? obj[key] : [];
+      obj[key] = [...current, ...value.elements.filter((e) => !current.includes(e))];
+      break;
+    }
+    case "FieldValue.arrayRemove":
+      obj[key] = (Array.isArray(obj[key]) ? obj[key] : []).filter((e) => !value.elements.includes(e));
+      break;
+    case "FieldValue.serverTimestamp":
+      obj[key] = new Date();
+      break;
+    default:
+      throw new Error(`Unsupported FieldValue in memory store: ${value.methodName}`);
+  }
+}
+
+// set(): nested objects replace (or deep-merge with { merge: true }).
+function writeObject(target, data, merge) {
+  const out = merge && isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    if (isPlainObject(value)) {
+      out[key] = writeObject(merge ? out[key] : undefined, value, merge);
+    } else {
+      applyValue(out, key, value);
+    }
+  }
+  return out;
+}
+
+// update(): keys are field paths ("a.b.c").
+function updateObject(target, data) {
+  const out = clone(target);
+  for (const [fieldPath, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    const parts = fieldPath.split(".");
+    let node = out;
+    for (const part of parts.slice(0, -1)) {
+      if (!isPlainObject(node[part])) node[part] = {};
+      node = node[part];
+    }
+    const last = parts[parts.length - 1];
+    if (isPlainObject(value)) node[last] = writeObject(undefined, value, false);
+    else applyValue(node, last, value);
+  }
+  return out;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+// Like Firestore, range filters only match values of the filter value's type
+// (so never null or a missing field).
+function comparable(x, v) {
+  return x !== undefined && x !== null && typeof x === typeof v;
+}
+
+const OPERATORS = {
+  "==": (x, v) => x === v,
+  "!=": (x, v) => x !== undefined && x !== v,
+  "<": (x, v) => comparable(x, v) && x < v,
+  "<=": (x, v) => comparable(x, v) && x <= v,
+  ">": (x, v) => comparable(x, v) && x > v,
+  ">=": (x, v) => comparable(x, v) && x >= v,
+  "in": (x, v) => v.includes(x),
+  "not-in": (x, v) => x !== undefined && !v.includes(x),
+  "array-contains": (x, v) => Array.isArray(x) && x.includes(v),
+  "array-contains-any": (x, v) => Array.isArray(x) && x.some((e) => v.includes(e)),
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return clone(this._data);
+  }
+
+  get(fieldPath) {
+    return clone(getPath(this._data, fieldPath));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(fn) {
+    this.docs.forEach(fn);
+  }
+}
+
+class DocumentReference {
+  constructor(store, path) {
+    this._store = store;
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this._store, this.path.split("/").slice(0, -1).join("/"));
+  }
+
+  collection(name) {
+    return new CollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, clone(this._store.docs.get(this.path)));
+  }
+
+  async set(data, options = {}) {
+    this._store.write(this.path, writeObject(this._store.docs.get(this.path), data, !!options.merge));
+  }
+
+  async create(data) {
+    if (this._store.docs.has(this.path)) {
+      throw storeError(ALREADY_EXISTS, `Document already exists: ${this.path}`);
+    }
+    this._store.write(this.path, writeObject(undefined, data, false));
+  }
+
+  async update(data) {
+    const current = this._store.docs.get(this.path);
+    if (current === undefined) {
+      throw storeError(NOT_FOUND, `No document to update: ${this.path}`);
+    }
+    this._store.write(this.path, updateObject(current, data));
+  }
+
+  async delete() {
+    this._store.docs.delete(this.path);
+  }
+}
+
+class Query {
+  constructor(store, path, { group = false, filters = [], orders = [], max = null, cursor = null } = {}) {
+    this._store = store;
+    this._path = path;
+    this._group = group;
+    this._filters = filters;
+    this._orders = orders;
+    this._max = max;
+    this._cursor = cursor;
+  }
+
+  _with(changes) {
+    return new Query(this._store, this._path, {
+      group: this._group,
+      filters: this._filters,
+      orders: this._orders,
+      max: this._max,
+      cursor: this._cursor,
+      ...changes,
+    });
+  }
+
+  where(fieldPath, op, value) {
+    if (!OPERATORS[op]) throw new Error(`Unsupported operator in memory store: ${op}`);
+    return this._with({ filters: [...this._filters, { fieldPath, op, value }] });
+  }
+
+  orderBy(fieldPath, direction = "asc") {
+    return this._with({ orders: [...this._orders, { fieldPath, direction }] });
+  }
+
+  limit(max) {
+    return this._with({ max });
+  }
+
+  // Accepts a DocumentSnapshot or the values of the orderBy fields.
+  startAfter(...values) {
+    const first = values[0];
+    const cursor = first instanceof DocumentSnapshot
+      ? this._orders.map((o) => getPath(first._data, o.fieldPath))
+      : values;
+    return this._with({ cursor });
+  }
+
+  _matchesPath(docPath) {
+    const segments = docPath.split("/");
+    if (this._group) return segments.length >= 2 && segments[segments.length - 2] === this._path;
+    return segments.slice(0, -1).join("/") === this._path;
+  }
+
+  async get() {
+    let docs = [];
+    for (const [docPath, data] of this._store.docs) {
+      if (!this._matchesPath(docPath)) continue;
+      if (!this._filters.every(({ fieldPath, op, value }) => OPERATORS[op](getPath(data, fieldPath), value))) continue;
+      docs.push(new DocumentSnapshot(new DocumentReference(this._store, docPath), clone(data)));
+    }
+
+    // Firestore orders by document id when no explicit order is given.
+    docs.sort((a, b) => {
+      for (const { fieldPath, direction } of this._orders) {
+        const c = compare(getPath(a._data, fieldPath), getPath(b._data, fieldPath));
+        if (c !== 0) return direction === "desc" ? -c : c;
+      }
+      return compare(a.ref.path, b.ref.path);
+    });
+
+    if (this._cursor) {
+      docs = docs.filter((doc) => {
+        for (let i = 0; i < this._cursor.length && i < this._orders.length; i++) {
+          const { fieldPath, direction } = this._orders[i];
+          const c = compare(getPath(doc._data, fieldPath), this._cursor[i]);
+          if (c !== 0) return direction === "desc" ? c < 0 : c > 0;
+        }
+        return false;
+      });
+    }
+
+    if (this._max !== null) docs = docs.slice(0, this._max);
+    return new QuerySnapshot(docs);
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snap = await this.get();
+        return { data: () => ({ count: snap.size }) };
+      },
+    };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, path) {
+    super(store, path);
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  get parent() {
+    const segments = this.path.split("/");
+    return segments.length > 1 ? new DocumentReference(this._store, segments.slice(0, -1).join("/")) : null;
+  }
+
+  doc(id = this._store.nextId()) {
+    return new DocumentReference(this._store, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+// Queues writes and applies them in order on commit, like a WriteBatch.
+class WriteBatch {
+  constructor() {
+    this._ops = [];
+  }
+
+  set(ref, data, options) {
+    this._ops.push(() => ref.set(data, options));
+    return this;
+  }
+
+  create(ref, data) {
+    this._ops.push(() => ref.create(data));
+    return this;
+  }
+
+  update(ref, data) {
+    this._ops.push(() => ref.update(data));
+    return this;
+  }
+
+  delete(ref) {
+    this._ops.push(() => ref.delete());
+    return this;
+  }
+
+  async commit() {
+    for (const op of this._ops) await op();
+  }
+}
+
+export function createMemoryStore() {
+  const store = {
+    docs: new Map(),
+    counter: 0,
+    // Serializes transactions: a single process has no concurrent writers
+    // other than interleaved async handlers.
+    queue: Promise.resolve(),
+    write(path, data) {
+      this.docs.set(path, data);
+    },
+    nextId() {
+      this.counter += 1;
+      return `mem${String(this.counter).padStart(8, "0")}`;
+    },
+  };
+
+  return {
+    collection(name) {
+      return new CollectionReference(store, name);
+    },
+
+    collectionGroup(name) {
+      return new Query(store, name, { group: true });
+    },
+
+    doc(path) {
+      return new DocumentReference(store, path);
+    },
+
+    batch() {
+      return new WriteBatch();
+    },
+
+    runTransaction(fn) {
+      const run = store.queue.then(async () => {
+        const batch = new WriteBatch();
+        const tx = {
+          get: (refOrQuery) => refOrQuery.get(),
+          set: (ref, data, options) => (batch.set(ref, data, options), tx),
+          create: (ref, data) => (batch.create(ref, data), tx),
+          update: (ref, data) => (batch.update(ref, data), tx),
+          delete: (ref) => (batch.delete(ref), tx),
+        };
+        const result = await fn(tx);
+        await batch.commit();
+        return result;
+      });
+      store.queue = run.catch(() => {});
+      return run;
+    },
+
+    // Test helper: drops every document.
+    reset() {
+      store.docs.clear();
+    },
+  };
+}
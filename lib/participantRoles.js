@@ -0,0 +1,52 @@
+// lib/participantRoles.js
+import { PUBLISH_PRIVILEGES } from "./agora.js";
+
+/**
+ * Media roles of call participants, stored on the room as
+ * `roles: { [uid]: role }`. The token endpoint reads the role from there, never
+ * from the client. Users attached to a call without being rung (see
+ * api/setParticipantRole) are also listed in `observers: { [uid]: { attachedBy,
+ * attachedAt } }`.
+ *
+ *   speaker   - publishes audio, video and data (default for caller/recipient)
+ *   audio     - publishes audio and data only
+ *   audience  - subscribe only
+ *   moderator - subscribe only, and may change other participants' roles
+ */
+
+export const PARTICIPANT_ROLES = {
+  speaker: { privileges: PUBLISH_PRIVILEGES },
+  audio: { privileges: ["publishAudio", "publishDataStream"] },
+  audience: { privileges: [] },
+  moderator: { privileges: [], canManageRoles: true },
+};
+
+export const DEFAULT_ROLE = "speaker";
+
+export function isKnownRole(role) {
+  return Object.prototype.hasOwnProperty.call(PARTICIPANT_ROLES, role);
+}
+
+export function hasRoleEntry(room, uid) {
+  return !!uid && !!room.roles && Object.prototype.hasOwnProperty.call(room.roles, uid);
+}
+
+export function isObserver(room, uid) {
+  return !!uid && !!room.observers && Object.prototype.hasOwnProperty.call(room.observers, uid);
+}
+
+// Callers and recipients without an entry are speakers.
+export function getParticipantRole(room, uid) {
+  const role = hasRoleEntry(room, uid) ? room.roles[uid] : DEFAULT_ROLE;
+  return isKnownRole(role) ? role : DEFAULT_ROLE;
+}
+
+export function privilegesFor(role) {
+  return (PARTICIPANT_ROLES[role] || PARTICIPANT_ROLES[DEFAULT_ROLE]).privileges;
+}
+
+// The caller hosts the call; moderators may manage roles too.
+export function canManageRoles(room, uid) {
+  if (uid === room.callerUid) return true;
+  return hasRoleEntry(room, uid) && !!PARTICIPANT_ROLES[room.roles[uid]]?.canManageRoles;
+}
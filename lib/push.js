@@ -0,0 +1,224 @@
+// lib/push.js
+import { getConfig } from "./config.js";
+import { currentRequestId, log } from "./log.js";
+import { getPushTransport } from "./transports/index.js";
+import { pruneFailedDeliveries } from "./tokenPruning.js";
+
+/**
+ * Push delivery helpers: APNs VoIP (flutter_callkit_incoming) and FCM.
+ * Actual sending goes through the configured transport (lib/transports);
+ * the VoIP topic is APN_VOIP_TOPIC (lib/config.js).
+ *
+ * Every push carries the id of the request that caused it as `requestId`
+ * (in `extra` for CallKit payloads, which only forward that), matching the
+ * server's log lines (lib/log.js).
+ */
+
+export function normalizeDataMap(obj) {
+  const out = {};
+  if (!obj || typeof obj !== 'object') return out;
+  Object.entries(obj).forEach(([k, v]) => {
+    if (v === null || v === undefined) return;
+    if (typeof v === 'string') out[k] = v;
+    else out[k] = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  });
+  return out;
+}
+
+// `data` plus the current request id, when there is one.
+function withRequestId(data) {
+  const requestId = currentRequestId();
+  return requestId ? { ...data, requestId } : data;
+}
+
+export async function sendApnsVoipPush(voipToken, payload, callType, callerName, callId) {
+  const notification = {
+    topic: getConfig().apns.topic,
+    // Root-level CallKit fields required by flutter_callkit_incoming
+    payload: {
+      id: callId,
+      nameCaller: callerName || "Caller",
+      handle: payload.handle || callId,
+      type: payload.type || 1,
+      extra: withRequestId(payload.extra || {})
+    },
+    alert: {
+      title: `${callerName || "Caller"} is calling`,
+      body: `Tap to answer ${callType || "video"} call`
+    },
+    badge: 1,
+    sound: "default",
+    category: "CALL_CATEGORY",
+  };
+
+  log.debug("Sending VoIP push", { callId, topic: notification.topic, payload: notification.payload });
+
+  try {
+    const outcome = await getPushTransport().sendVoip(voipToken, notification);
+    if (outcome.ok) {
+      log.debug("VoIP push sent", { callId });
+    } else {
+      log.warn("VoIP push rejected", { callId, error: outcome.error });
+    }
+    return outcome;
+  } catch (err) {
+    log.error("VoIP push failed", { callId, err, reason: err.reason });
+    throw err;
+  }
+}
+
+// VoIP push without an alert, used to drive an already-shown CallKit screen.
+async function sendApnsVoipEvent(voipToken, payload) {
+  return getPushTransport().sendVoip(voipToken, { topic: getConfig().apns.topic, payload: withRequestId(payload), priority: 10 });
+}
+
+async function sendFcmData(fcmToken, data) {
+  return getPushTransport().sendFcm({
+    token: fcmToken,
+    data: normalizeDataMap(withRequestId(data)),
+    android: { priority: "high", ttl: 60000 },
+    // Background (content-available) pushes must go out at priority 5 on APNs.
+    apns: {
+      headers: { "apns-push-type": "background", "apns-priority": "5" },
+      payload: { aps: { "content-available": 1 } },
+    },
+  });
+}
+
+/**
+ * Runs one push per (device, transport) pair in parallel and reports a
+ * delivery entry for each: { deviceId, platform, transport, ok, messageId, error }.
+ * `send(device)` returns a list of [transport, promise] pairs. Dead tokens
+ * reported by the providers are pruned before returning.
+ */
+async function deliverToDevices(devices, send) {
+  const jobs = devices.flatMap((device) =>
+    send(device).map(([transport, promise]) => ({ device, transport, promise }))
+  );
+  const results = await Promise.allSettled(jobs.map((j) => j.promise));
+
+  const deliveries = results.map((r, i) => {
+    const { device, transport } = jobs[i];
+    const base = { deviceId: device.id, platform: device.platform, transport };
+    if (r.status === "rejected") {
+      return { ...base, ok: false, messageId: null, error: r.reason?.code || r.reason?.message || "unknown" };
+    }
+    const { ok, messageId, error } = r.value;
+    return { ...base, ok, messageId, error };
+  });
+
+  await pruneFailedDeliveries(deliveries.map((delivery, i) => ({ device: jobs[i].device, delivery })));
+  return deliveries;
+}
+
+function buildFcmInvitation(fcmToken, payload, { callType, callerName }) {
+  return {
+    token: fcmToken,
+    notification: {
+      title: `${callerName} is calling`,
+      body: `Tap to answer ${callType} call`,
+    },
+    data: normalizeDataMap(withRequestId(payload)),
+    android: { priority: "high", ttl: 60000 },
+    apns: { headers: { "apns-priority": "10" } }
+  };
+}
+
+/**
+ * Rings every device in parallel: VoIP for iOS devices with a PushKit token
+ * (a second FCM ring would show two incoming calls), FCM for everything else.
+ */
+export async function sendCallInvitationToDevices(devices, payload, { callType, callerName, callId }) {
+  return deliverToDevices(devices, (device) => {
+    if (device.platform === "ios" && device.voipToken) {
+      return [["apns-voip", sendApnsVoipPush(device.voipToken, payload, callType, callerName, callId)]];
+    }
+    if (device.fcmToken) {
+      return [["fcm", getPushTransport().sendFcm(buildFcmInvitation(device.fcmToken, payload, { callType, callerName }))]];
+    }
+    return [];
+  });
+}
+
+/**
+ * Tells every device of the recipient to tear down the incoming call UI.
+ * Sent over APNs VoIP *and* FCM: the app may have rung through either path,
+ * and flutter_callkit_incoming matches the screen by the same `id` (callId)
+ * the invitation carried.
+ */
+export async function sendCallDismissal(devices, room, reason) {
+  const payload = {
+    id: room.callId,
+    callAction: "end",
+    reason,
+    channelName: room.channelName,
+    roomId: room.channelName,
+    extra: {
+      channelName: room.channelName,
+      roomId: room.channelName,
+      callerUid: room.callerUid,
+      recipientId: room.recipientId,
+    },
+  };
+
+  if (!devices.length) {
+    log.warn("No push token to dismiss call", { callId: room.callId, recipientId: room.recipientId });
+    return [];
+  }
+
+  const deliveries = await deliverToDevices(devices, (device) => {
+    const sends = [];
+    if (device.voipToken) sends.push(["apns-voip", sendApnsVoipEvent(device.voipToken, payload)]);
+    if (device.fcmToken) sends.push(["fcm", sendFcmData(device.fcmToken, payload)]);
+    return sends;
+  });
+  deliveries
+    .filter((d) => !d.ok)
+    .forEach((d) => log.warn("Call dismissal push failed", { callId: room.callId, delivery: d }));
+  return deliveries;
+}
+
+// Data-only event for the other party (e.g. caller learns the call was missed).
+export async function sendCallEvent(devices, room, callAction, extra = {}) {
+  const data = {
+    ...extra,
+    type: "call_event",
+    id: room.callId,
+    callAction,
+    channelName: room.channelName,
+  };
+  return deliverToDevices(devices, (device) =>
+    device.fcmToken ? [["fcm", sendFcmData(device.fcmToken, data)]] : []
+  );
+}
+
+/**
+ * Plain "missed call" notification for an invitee whose do-not-disturb
+ * suppressed the ring (lib/doNotDisturb.js). FCM only, at normal priority:
+ * a VoIP push would have to show the CallKit screen.
+ */
+export async function sendMissedCallNotification(devices, room, reason) {
+  const callerName = room.callerName || room.callerUid;
+  const data = {
+    type: "missed_call",
+    id: room.callId,
+    channelName: room.channelName,
+    callerUid: room.callerUid,
+    callerName,
+    callType: room.callType,
+    reason,
+  };
+  return deliverToDevices(devices, (device) => {
+    if (!device.fcmToken) return [];
+    return [["fcm", getPushTransport().sendFcm({
+      token: device.fcmToken,
+      notification: {
+        title: `Missed call from ${callerName}`,
+        body: `${callerName} tried to ${room.callType || "video"} call you`,
+      },
+      data: normalizeDataMap(withRequestId(data)),
+      android: { priority: "normal" },
+      apns: { headers: { "apns-push-type": "alert", "apns-priority": "5" } },
+    })]];
+  });
+}
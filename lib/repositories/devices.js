@@ -0,0 +1,113 @@
+// lib/repositories/devices.js
+import { FieldValue } from "firebase-admin/firestore";
+import { getDb } from "../firebase.js";
+import { COLLECTIONS, newDevice } from "../schema.js";
+
+const TOKEN_FIELDS = ["fcmToken", "voipToken"];
+
+function devicesCollection(uid) {
+  return getDb().collection(COLLECTIONS.USERS).doc(uid).collection(COLLECTIONS.DEVICES);
+}
+
+// Every device returned carries { id, uid, ...fields }.
+function fromSnapshot(doc, uid = doc.ref.parent.parent?.id) {
+  return { id: doc.id, uid, ...doc.data() };
+}
+
+export async function list(uid) {
+  const snap = await devicesCollection(uid).get();
+  return snap.docs.map((d) => fromSnapshot(d, uid));
+}
+
+export async function get(uid, deviceId) {
+  const snap = await devicesCollection(uid).doc(deviceId).get();
+  return snap.exists ? fromSnapshot(snap, uid) : null;
+}
+
+// Token fields `fields` sets to a different token than `current` holds.
+function changedTokenFields(current, fields) {
+  return TOKEN_FIELDS.filter((f) => fields[f] !== undefined && fields[f] !== current?.[f]);
+}
+
+/**
+ * Creates or replaces the device, keeping its original createdAt. Flags
+ * (see releaseToken) are kept only for tokens that did not change.
+ */
+export async function save(uid, deviceId, fields) {
+  const ref = devicesCollection(uid).doc(deviceId);
+  const existing = await ref.get();
+  const current = existing.exists ? existing.data() : null;
+  const now = Date.now();
+
+  const tokenFlags = { ...current?.tokenFlags };
+  changedTokenFields(current, fields).forEach((f) => delete tokenFlags[f]);
+  const device = newDevice({
+    ...fields,
+    ...(Object.keys(tokenFlags).length ? { tokenFlags } : {}),
+    createdAt: current?.createdAt || now,
+  }, now);
+  await ref.set(device);
+  return { id: deviceId, uid, ...device };
+}
+
+// Updates the device; a changed token drops the flag raised for the old one.
+export async function update(uid, deviceId, fields) {
+  const ref = devicesCollection(uid).doc(deviceId);
+  const existing = await ref.get();
+  const update = { ...fields, updatedAt: Date.now() };
+  const flagResets = Object.fromEntries(
+    changedTokenFields(existing.data(), fields).map((f) => [`tokenFlags.${f}`, FieldValue.delete()])
+  );
+  await ref.update({ ...update, ...flagResets });
+  return update;
+}
+
+export async function remove(uid, deviceId) {
+  const ref = devicesCollection(uid).doc(deviceId);
+  const existing = await ref.get();
+  if (!existing.exists) return false;
+  await ref.delete();
+  return true;
+}
+
+/**
+ * Devices of any user holding `token` in `field`.
+ * Needs collection-group indexes on devices.fcmToken / devices.voipToken.
+ */
+export async function findByToken(field, token) {
+  const snap = await getDb().collectionGroup(COLLECTIONS.DEVICES).where(field, "==", token).get();
+  return snap.docs.map((d) => fromSnapshot(d));
+}
+
+/**
+ * Drops `token` from the device: the field is cleared, or the whole entry
+ * deleted when it has no other token. With `flag` the token is only marked.
+ * Nothing happens if the device no longer holds `token` (rotated meanwhile).
+ * Returns whether anything changed.
+ */
+export async function releaseToken(uid, deviceId, field, token, { flag } = {}) {
+  const db = getDb();
+  const ref = devicesCollection(uid).doc(deviceId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return false;
+    const data = snap.data() || {};
+    if (data[field] !== token) return false;
+
+    const now = Date.now();
+    if (flag) {
+      if (data.tokenFlags && data.tokenFlags[field]) return false;
+      tx.update(ref, { [`tokenFlags.${field}`]: { reason: flag, at: now } });
+      return true;
+    }
+
+    const otherField = field === "fcmToken" ? "voipToken" : "fcmToken";
+    if (data[otherField]) {
+      tx.update(ref, { [field]: null, [`tokenFlags.${field}`]: FieldValue.delete(), updatedAt: now });
+    } else {
+      tx.delete(ref);
+    }
+    return true;
+  });
+}
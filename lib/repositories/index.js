@@ -0,0 +1,12 @@
+// lib/repositories/index.js
+
+/**
+ * Data access for the api/ handlers. Every Firestore read and write goes
+ * through these modules; shapes are defined in lib/schema.js and the backing
+ * store (Firestore, emulator or memory) is chosen in lib/firebase.js.
+ */
+export * as devices from "./devices.js";
+export * as invitations from "./invitations.js";
+export * as metrics from "./metrics.js";
+export * as rooms from "./rooms.js";
+export * as users from "./users.js";
@@ -0,0 +1,48 @@
+// lib/repositories/invitations.js
+import { getDb } from "../firebase.js";
+import { COLLECTIONS } from "../schema.js";
+
+function invitationRef(callId) {
+  return getDb().collection(COLLECTIONS.INVITATIONS).doc(callId);
+}
+
+/**
+ * Claims `callId` for one sendCallInvitation attempt. Resolves with one of
+ *   { outcome: "claimed" }            first attempt, or a stale pending one
+ *                                     (older than `leaseMs`) taken over
+ *   { outcome: "replay", response }   already completed with the same request
+ *   { outcome: "conflict" }           callId used by a different request
+ *   { outcome: "in_progress" }        same request still being handled
+ */
+export async function claim(callId, { callerUid, fingerprint, leaseMs, ttlMs }, now = Date.now()) {
+  const db = getDb();
+  const ref = invitationRef(callId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const existing = snap.exists ? snap.data() : null;
+
+    if (existing) {
+      if (existing.callerUid !== callerUid || existing.fingerprint !== fingerprint) {
+        return { outcome: "conflict" };
+      }
+      if (existing.status === "completed") {
+        return { outcome: "replay", response: existing.response };
+      }
+      if (existing.createdAt + leaseMs > now) {
+        return { outcome: "in_progress" };
+      }
+    }
+
+    tx.set(ref, { callerUid, fingerprint, status: "pending", createdAt: now, expiresAt: new Date(now + ttlMs) });
+    return { outcome: "claimed" };
+  });
+}
+
+export async function complete(callId, response) {
+  await invitationRef(callId).update({ status: "completed", response, completedAt: Date.now() });
+}
+
+export async function release(callId) {
+  await invitationRef(callId).delete();
+}
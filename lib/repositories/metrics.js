@@ -0,0 +1,18 @@
+// lib/repositories/metrics.js
+import { FieldValue } from "firebase-admin/firestore";
+import { getDb } from "../firebase.js";
+import { COLLECTIONS } from "../schema.js";
+
+// metrics/{name}: { [group]: { [key]: n }, [`${group}Total`]: n, updatedAt }
+export async function increment(name, group, key, by = 1) {
+  await getDb().collection(COLLECTIONS.METRICS).doc(name).set({
+    [group]: { [key]: FieldValue.increment(by) },
+    [`${group}Total`]: FieldValue.increment(by),
+    updatedAt: Date.now(),
+  }, { merge: true });
+}
+
+export async function get(name) {
+  const snap = await getDb().collection(COLLECTIONS.METRICS).doc(name).get();
+  return snap.exists ? snap.data() : null;
+}
@@ -0,0 +1,145 @@
+// lib/repositories/rooms.js
+import { getDb } from "../firebase.js";
+import { COLLECTIONS, newRoom } from "../schema.js";
+
+// gRPC status Firestore reports when create() finds an existing document.
+const ALREADY_EXISTS = 6;
+
+function roomsCollection() {
+  return getDb().collection(COLLECTIONS.ROOMS);
+}
+
+// Returns { channelName, ...data } or null.
+export async function get(channelName) {
+  const snap = await roomsCollection().doc(channelName).get();
+  return snap.exists ? { channelName: snap.id, ...snap.data() } : null;
+}
+
+// Resolves with the new room, or null when `channelName` is already taken.
+export async function create(channelName, data) {
+  const room = newRoom({ ...data, channelName });
+  try {
+    await roomsCollection().doc(channelName).create(room);
+  } catch (err) {
+    if (err.code === ALREADY_EXISTS) return null;
+    throw err;
+  }
+  return room;
+}
+
+/**
+ * Read-modify-write of one room inside a transaction. `mutate(room)` gets
+ * the current room (or null) and returns the fields to update; throwing
+ * aborts without writing. Resolves with the room after the update.
+ */
+export async function updateInTransaction(channelName, mutate) {
+  const db = getDb();
+  const ref = roomsCollection().doc(channelName);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const room = snap.exists ? { channelName: snap.id, ...snap.data() } : null;
+    const update = await mutate(room);
+    if (update && Object.keys(update).length) tx.update(ref, update);
+    return { ...room, ...update };
+  });
+}
+
+// Rooms still flagged active in which `uid` is caller, recipient or a group participant.
+export async function findActiveFor(uid) {
+  const active = roomsCollection().where("isActive", "==", true);
+  const snaps = await Promise.all([
+    active.where("callerUid", "==", uid).get(),
+    active.where("recipientUid", "==", uid).get(),
+    active.where("participantUids", "array-contains", uid).get(),
+  ]);
+
+  const byChannel = new Map();
+  snaps.flatMap((snap) => snap.docs).forEach((d) => byChannel.set(d.id, { channelName: d.id, ...d.data() }));
+  return [...byChannel.values()];
+}
+
+/**
+ * Rooms where someone is still ringing past their ring window: ringing 1:1
+ * calls, and group calls (ringing or accepted) with an expired invitee.
+ * See nextRingExpiry in lib/callState.js.
+ */
+export async function findExpiredRinging(now, limit) {
+  const snap = await roomsCollection()
+    .where("nextRingExpiresAt", "<=", now)
+    .limit(limit)
+    .get();
+  return snap.docs.map((d) => ({ channelName: d.id, ...d.data() }));
+}
+
+/**
+ * Rooms written before ring timeouts existed, created at or before
+ * `createdBefore`: still flagged active but without a `status`, so
+ * findExpiredRinging never sees them. Oldest first; needs a composite index
+ * on room(isActive, createdAt).
+ */
+export async function findStaleLegacy(createdBefore, limit) {
+  const snap = await roomsCollection()
+    .where("isActive", "==", true)
+    .where("createdAt", "<=", createdBefore)
+    .orderBy("createdAt")
+    .limit(limit)
+    .get();
+  return snap.docs
+    .map((d) => ({ channelName: d.id, ...d.data() }))
+    .filter((room) => !room.status);
+}
+
+// Accepted calls accepted at or before `acceptedBefore`, oldest first. Needs a
+// composite index on room(status, acceptedAt).
+export async function findAcceptedBefore(acceptedBefore, limit) {
+  const snap = await roomsCollection()
+    .where("status", "==", "accepted")
+    .where("acceptedAt", "<=", acceptedBefore)
+    .orderBy("acceptedAt")
+    .limit(limit)
+    .get();
+  return snap.docs.map((d) => ({ channelName: d.id, ...d.data() }));
+}
+
+// Field / value each history filter queries; see lib/callHistory.js.
+const HISTORY_QUERIES = {
+  all: (uid) => ["participantUids", "array-contains", uid],
+  outgoing: (uid) => ["callerUid", "==", uid],
+  incoming: (uid) => ["inviteeUids", "array-contains", uid],
+  missed: (uid) => ["missedUids", "array-contains", uid],
+};
+
+/**
+ * One page of `uid`'s rooms, newest first. `cursor` is the channelName of
+ * the last room of the previous page. Resolves with { rooms, nextCursor }.
+ * Needs composite indexes on room(<filter field>, createdAt desc).
+ */
+export async function listForUser(uid, { filter = "all", limit = 20, cursor } = {}) {
+  let query = roomsCollection()
+    .where(...HISTORY_QUERIES[filter](uid))
+    .orderBy("createdAt", "desc");
+
+  if (cursor) {
+    const last = await roomsCollection().doc(cursor).get();
+    if (last.exists) query = query.startAfter(last);
+  }
+
+  // One extra document tells whether another page exists.
+  const snap = await query.limit(limit + 1).get();
+  const docs = snap.docs.slice(0, limit);
+  return {
+    rooms: docs.map((d) => ({ channelName: d.id, ...d.data() })),
+    nextCursor: snap.docs.length > limit ? docs[docs.length - 1].id : null,
+  };
+}
+
+// Needs a composite index on room(missedUids, createdAt).
+export async function countMissedSince(uid, since = 0) {
+  const snap = await roomsCollection()
+    .where("missedUids", "array-contains", uid)
+    .where("createdAt", ">", since)
+    .count()
+    .get();
+  return snap.data().count;
+}
@@ -0,0 +1,94 @@
+// lib/repositories/users.js
+import { FieldValue } from "firebase-admin/firestore";
+import { getDb } from "../firebase.js";
+import { COLLECTIONS } from "../schema.js";
+
+function userRef(uid) {
+  return getDb().collection(COLLECTIONS.USERS).doc(uid);
+}
+
+// Returns { uid, ...data } or null.
+export async function get(uid) {
+  if (!uid) return null;
+  const snap = await userRef(uid).get();
+  return snap.exists ? { uid: snap.id, ...snap.data() } : null;
+}
+
+export async function findByUsername(username) {
+  const snap = await getDb().collection(COLLECTIONS.USERS)
+    .where("username", "==", username)
+    .limit(1)
+    .get();
+  if (snap.empty) return null;
+  const doc = snap.docs[0];
+  return { uid: doc.id, ...doc.data() };
+}
+
+// Users still holding `token` in a legacy fcmToken / voipToken field.
+export async function findByLegacyToken(field, token) {
+  const snap = await getDb().collection(COLLECTIONS.USERS).where(field, "==", token).get();
+  return snap.docs.map((d) => ({ uid: d.id, ...d.data() }));
+}
+
+/**
+ * Removes (or flags, with `flag`) a legacy token, but only if the user
+ * document still holds `token`. Returns whether anything changed.
+ */
+export async function releaseLegacyToken(uid, field, token, { flag } = {}) {
+  const db = getDb();
+  const ref = userRef(uid);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.exists ? snap.data() || {} : {};
+    if (data[field] !== token) return false;
+
+    if (flag) {
+      if (data.tokenFlags && data.tokenFlags[field]) return false;
+      tx.update(ref, { [`tokenFlags.${field}`]: { reason: flag, at: Date.now() } });
+    } else {
+      tx.update(ref, { [field]: FieldValue.delete(), [`tokenFlags.${field}`]: FieldValue.delete() });
+    }
+    return true;
+  });
+}
+
+export async function setMissedCallsSeenAt(uid, at) {
+  await userRef(uid).set({ missedCallsSeenAt: at }, { merge: true });
+}
+
+export async function updateCallSettings(uid, settings) {
+  await userRef(uid).set({ callSettings: settings }, { merge: true });
+}
+
+function blockedRef(uid, blockedUid) {
+  return userRef(uid).collection(COLLECTIONS.BLOCKED).doc(blockedUid);
+}
+
+export async function isBlocked(uid, otherUid) {
+  const snap = await blockedRef(uid, otherUid).get();
+  return snap.exists;
+}
+
+export async function block(uid, blockedUid, fields = {}) {
+  await blockedRef(uid, blockedUid).set({ ...fields, blockedAt: Date.now() });
+}
+
+export async function unblock(uid, blockedUid) {
+  await blockedRef(uid, blockedUid).delete();
+}
+
+// Returns [{ uid, ...fields }] newest first.
+export async function listBlocked(uid) {
+  const snap = await userRef(uid).collection(COLLECTIONS.BLOCKED).orderBy("blockedAt", "desc").get();
+  return snap.docs.map((d) => ({ uid: d.id, ...d.data() }));
+}
+
+// Both users hold a match document for the other.
+export async function isMutualMatch(uid, otherUid) {
+  const [mine, theirs] = await Promise.all([
+    userRef(uid).collection(COLLECTIONS.MATCHES).doc(otherUid).get(),
+    userRef(otherUid).collection(COLLECTIONS.MATCHES).doc(uid).get(),
+  ]);
+  return mine.exists && theirs.exists;
+}
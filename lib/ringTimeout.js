@@ -0,0 +1,139 @@
+// lib/ringTimeout.js
+import { applyCallTransition, CALL_STATES, PARTICIPANT_STATES, participantsMissedAt } from "./callState.js";
+import { MAX_CALL_DURATION_SECONDS } from "./callTokens.js";
+import { getConfig } from "./config.js";
+import { HttpError } from "./http.js";
+import { log } from "./log.js";
+import { sendCallDismissal, sendCallEvent } from "./push.js";
+import { getDevicesForUsers, getUserDevices } from "./devices.js";
+import { rooms } from "./repositories/index.js";
+
+/**
+ * Marks unanswered calls as `missed` once their ring window has passed.
+ *
+ * Two triggers share `expireCall`:
+ * - an in-process timer armed by sendCallInvitation / addParticipants
+ *   (long-running server)
+ * - `sweepExpiredCalls`, run by api/sweepMissedCalls from a scheduler
+ *   (serverless, where the timer may never fire). It finds rooms by
+ *   `nextRingExpiresAt`, so invitees still ringing in an accepted group call
+ *   are expired too, and also closes rooms written before ring timeouts
+ *   existed (active, no `status`) once RING_TIMEOUT_MS has passed since they
+ *   were created. The same sweep ends accepted calls that outlived
+ *   MAX_CALL_DURATION_SECONDS, which nobody ended (e.g. both apps crashed);
+ *   their tokens have expired by then, so nobody is told.
+ *
+ * Settings (lib/config.js):
+ * - RING_TIMEOUT_SECONDS (optional, default 45)
+ */
+
+export const RING_TIMEOUT_MS = getConfig().calls.ringTimeoutSeconds * 1000;
+
+const SWEEP_BATCH_SIZE = 100;
+
+// Timers fire a little after the ring window so it has certainly closed.
+const TIMER_SLACK_MS = 1000;
+
+// Group calls: the participants this miss just timed out, and who is still in.
+function groupMissNotifications(room) {
+  const missedNow = participantsMissedAt(room);
+  const joined = Object.entries(room.participants)
+    .filter(([, p]) => p.state === PARTICIPANT_STATES.JOINED)
+    .map(([uid]) => uid);
+
+  return [
+    getDevicesForUsers(missedNow).then((devices) => sendCallDismissal(devices, room, CALL_STATES.MISSED)),
+    room.status === CALL_STATES.MISSED
+      ? getUserDevices(room.callerUid).then((devices) => sendCallEvent(devices, room, CALL_STATES.MISSED))
+      : getDevicesForUsers(joined).then((devices) =>
+        sendCallEvent(devices, room, "participant_missed", { participantUids: missedNow })
+      ),
+  ];
+}
+
+/**
+ * Transitions the room to `missed` and notifies both sides. In a group call
+ * only the participants whose ring window passed are missed; the room follows
+ * when nobody else is left ringing.
+ * Returns false when nothing was ringing past its window.
+ */
+export async function expireCall(channelName, callId) {
+  let room;
+  try {
+    room = await applyCallTransition(channelName, "miss", null, { callId });
+  } catch (err) {
+    if (err instanceof HttpError && (err.code === "invalid_transition" || err.code === "call_not_found")) {
+      return false;
+    }
+    throw err;
+  }
+
+  log.info("Call missed", { channelName, callId: room.callId, status: room.status });
+
+  const results = await Promise.allSettled(room.isGroup ? groupMissNotifications(room) : [
+    getUserDevices(room.recipientUid).then((devices) => sendCallDismissal(devices, room, CALL_STATES.MISSED)),
+    getUserDevices(room.callerUid).then((devices) => sendCallEvent(devices, room, CALL_STATES.MISSED)),
+  ]);
+  results
+    .filter((r) => r.status === "rejected")
+    .forEach((r) => log.error("Missed call notification failed", r.reason));
+
+  return true;
+}
+
+export function scheduleRingTimeout(channelName, callId) {
+  const timer = setTimeout(() => {
+    expireCall(channelName, callId).catch((err) => log.error("Ring timeout error", err));
+  }, RING_TIMEOUT_MS + TIMER_SLACK_MS);
+  // Never keep the process (or a serverless invocation) alive just for this.
+  if (typeof timer.unref === "function") timer.unref();
+  return timer;
+}
+
+// Ends an accepted call past its maximum duration. Returns false when it was
+// ended meanwhile (or is not due yet).
+async function endOverdueCall(channelName, callId) {
+  try {
+    await applyCallTransition(channelName, "expire", null, { callId });
+  } catch (err) {
+    if (err instanceof HttpError && (err.code === "invalid_transition" || err.code === "call_not_found")) {
+      return false;
+    }
+    throw err;
+  }
+  log.info("Call expired", { channelName, callId });
+  return true;
+}
+
+export async function sweepExpiredCalls(now = Date.now()) {
+  const [ringing, legacy] = await Promise.all([
+    rooms.findExpiredRinging(now, SWEEP_BATCH_SIZE),
+    rooms.findStaleLegacy(now - RING_TIMEOUT_MS, SWEEP_BATCH_SIZE),
+  ]);
+  const expired = [...ringing, ...legacy];
+
+  let missed = 0;
+  for (const room of expired) {
+    if (await expireCall(room.channelName, room.callId)) missed += 1;
+  }
+
+  const overdue = await rooms.findAcceptedBefore(now - MAX_CALL_DURATION_SECONDS * 1000, SWEEP_BATCH_SIZE);
+  let ended = 0;
+  for (const room of overdue) {
+    if (await endOverdueCall(room.channelName, room.callId)) ended += 1;
+  }
+
+  return { scanned: expired.length + overdue.length, missed, ended };
+}
+
+/**
+ * Periodic sweep for long-running servers; catches calls whose in-process
+ * timer was lost (e.g. the invitation was handled by another instance).
+ */
+export function startMissedCallSweeper(intervalMs = RING_TIMEOUT_MS) {
+  const interval = setInterval(() => {
+    sweepExpiredCalls().catch((err) => log.error("Missed call sweep error", err));
+  }, intervalMs);
+  if (typeof interval.unref === "function") interval.unref();
+  return () => clearInterval(interval);
+}
@@ -0,0 +1,130 @@
+// lib/schema.js
+import { getConfig } from "./config.js";
+
+/**
+ * Single source of truth for what the backend stores in Firestore.
+ *
+ * user/{uid}                      (uid = Firebase Auth uid)
+ *   username, name?, imageUrl?
+ *   missedCallsSeenAt?                 missed calls up to here are "seen"
+ *   callSettings?: { whoCanCall,       see lib/callPermissions.js
+ *     doNotDisturb, quietHours,        see lib/doNotDisturb.js
+ *     favoriteUids }
+ *   platform?, fcmToken?, voipToken?   legacy single-device fields, read as
+ *                                      the "legacy" device until the user
+ *                                      registers through api/registerDevice
+ *
+ * user/{uid}/devices/{deviceId}   see DEVICE_FIELDS
+ *
+ * user/{uid}/blocked/{blockedUid} users `uid` blocked: username?, blockedAt
+ *
+ * user/{uid}/matches/{otherUid}   written by the dating app; a match is
+ *                                 mutual when both documents exist
+ *                                 (collection name: MATCHES_COLLECTION)
+ *
+ * room/{channelName}              one call; see ROOM_FIELDS
+ *
+ * metrics/{name}                  counters (e.g. metrics/pushTokens)
+ *
+ * invitations/{callId}            idempotency record of one sendCallInvitation:
+ *   callerUid, fingerprint, status ("pending" | "completed"), response?,
+ *   createdAt, expiresAt (for a Firestore TTL policy)
+ *
+ * Agora tokens are never stored: clients fetch their own from api/token.
+ * `agoraToken` on older rooms is ignored.
+ *
+ * The older `users` / `calls` collections are no longer written or read.
+ */
+
+export const COLLECTIONS = {
+  USERS: "user",
+  DEVICES: "devices",
+  ROOMS: "room",
+  METRICS: "metrics",
+  INVITATIONS: "invitations",
+  BLOCKED: "blocked",
+  MATCHES: getConfig().calls.matchesCollection,
+};
+
+export const DEVICE_FIELDS = [
+  "platform",      // "ios" | "android" | "web"
+  "fcmToken",      // FCM registration token or null
+  "voipToken",     // APNs PushKit token (hex, ios only) or null
+  "bundleId",
+  "environment",   // APNs "sandbox" | "production"
+  "appVersion",
+  "tokenFlags",    // { [field]: { reason, at } } tokens a provider rejected
+  "lastSeenAt",
+  "createdAt",
+  "updatedAt",
+];
+
+export const ROOM_FIELDS = [
+  "channelName",
+  "callId",
+  "callType",      // "video" | "audio"
+  "callerUid",
+  "callerName",
+  "recipientId",   // recipient username (1:1 calls)
+  "recipientUid",
+  "isGroup",
+  "participants",  // group calls: { [uid]: { username, state, ... } }, see
+                   // PARTICIPANT_STATES in lib/callState.js
+  "participantUids", // everyone ever invited, caller included
+  "inviteeUids",   // everyone ever invited, caller excluded
+  "missedUids",    // invitees who missed the call (see lib/callHistory.js)
+  "suppressed",    // { [uid]: reason } invitees not rung because of
+                   // do-not-disturb (see lib/doNotDisturb.js)
+  "createdBy",
+  "createdAt",
+  "updatedAt",
+  "status",        // see CALL_STATES in lib/callState.js
+  "isActive",      // false once status is terminal
+  "ringingAt",
+  "ringExpiresAt",
+  "nextRingExpiresAt", // earliest open ring window, or null (see
+                       // nextRingExpiry in lib/callState.js)
+  "acceptedAt",
+  "declinedAt",
+  "cancelledAt",
+  "missedAt",
+  "endedAt",
+  "endedBy",       // uid, or null for server-initiated transitions
+  "durationMs",
+  "roles",         // { [uid]: role } see lib/participantRoles.js
+  "observers",     // { [uid]: { attachedBy, attachedAt } } users attached
+                   // without a ring by api/setParticipantRole
+  "tokenRenewals", // { [uid]: { count, lastAt } } written by api/renewToken
+  "callWaiting",
+  "platform",
+  "agoraAppId",
+];
+
+function pick(data, fields) {
+  const out = {};
+  fields.forEach((f) => {
+    if (data[f] !== undefined) out[f] = data[f];
+  });
+  return out;
+}
+
+export function newRoom(data, now = Date.now()) {
+  return {
+    createdAt: now,
+    updatedAt: now,
+    isActive: true,
+    callWaiting: false,
+    ...pick(data, ROOM_FIELDS),
+  };
+}
+
+export function newDevice(data, now = Date.now()) {
+  return {
+    fcmToken: null,
+    voipToken: null,
+    createdAt: now,
+    updatedAt: now,
+    lastSeenAt: now,
+    ...pick(data, DEVICE_FIELDS),
+  };
+}
@@ -0,0 +1,202 @@
+// lib/server.js
+import { createServer } from "node:http";
+import { readdir } from "node:fs/promises";
+import { basename, extname, join } from "node:path";
+import { pathToFileURL } from "node:url";
+import { getConfig } from "./config.js";
+import { errorBody } from "./http.js";
+import { log, runWithRequest } from "./log.js";
+
+/**
+ * Plain Node HTTP server for the Vercel-style api/ handlers, so the backend
+ * runs locally or on a VM (see index.js). Every api/<name>.js is served at
+ * /api/<name>, and the request / response get the helpers Vercel adds:
+ *
+ *   req.query   parsed query string (repeated keys become arrays)
+ *   req.body    parsed JSON / urlencoded body, text for text/*, else a Buffer
+ *   res.status(code), res.json(body), res.send(body)
+ *
+ * Handlers are imported on first request, like separate serverless
+ * functions: one that fails to load answers 500 without taking down the rest.
+ *
+ * Bodies over MAX_BODY_BYTES (lib/config.js) get 413.
+ */
+
+const MAX_BODY_BYTES = getConfig().server.maxBodyBytes;
+
+class BodyError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Names of the handlers in `apiDir` (file names without .js).
+export async function discoverHandlers(apiDir) {
+  const entries = await readdir(apiDir, { withFileTypes: true });
+  return entries
+    .filter((e) => e.isFile() && extname(e.name) === ".js" && !e.name.startsWith("."))
+    .map((e) => basename(e.name, ".js"))
+    .sort();
+}
+
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  }
+  return query;
+}
+
+async function readBody(req) {
+  const declared = parseInt(req.headers["content-length"] || "", 10);
+  if (declared > MAX_BODY_BYTES) {
+    throw new BodyError(413, "payload_too_large", "Request body too large");
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new BodyError(413, "payload_too_large", "Request body too large");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function parseBody(raw, contentType = "") {
+  if (!raw.length) return undefined;
+  const type = contentType.split(";")[0].trim().toLowerCase();
+
+  if (type === "application/json" || type.endsWith("+json")) {
+    try {
+      return JSON.parse(raw.toString("utf8"));
+    } catch {
+      throw new BodyError(400, "invalid_json", "Invalid JSON body");
+    }
+  }
+  if (type === "application/x-www-form-urlencoded") {
+    return parseQuery(new URLSearchParams(raw.toString("utf8")));
+  }
+  if (type.startsWith("text/")) {
+    return raw.toString("utf8");
+  }
+  return raw;
+}
+
+function addResponseHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    if (body === undefined || body === null) {
+      res.end();
+    } else if (Buffer.isBuffer(body)) {
+      if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "application/octet-stream");
+      res.end(body);
+    } else if (typeof body === "object") {
+      res.json(body);
+    } else {
+      if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      res.end(String(body));
+    }
+    return res;
+  };
+  return res;
+}
+
+function sendJson(res, status, body) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.status(status).json(body);
+}
+
+/**
+ * Builds (but does not start) the server for the handlers in `apiDir`.
+ * `health()` may add fields to the GET /health answer.
+ * Returns { server, handlers } where handlers are the mounted names.
+ */
+export async function createApiServer({ apiDir, health = () => ({}) }) {
+  const handlers = await discoverHandlers(apiDir);
+  const known = new Set(handlers);
+  const loaded = new Map();
+
+  function loadHandler(name) {
+    if (!loaded.has(name)) {
+      const url = pathToFileURL(join(apiDir, `${name}.js`)).href;
+      const promise = import(url).then((mod) => {
+        if (typeof mod.default !== "function") {
+          throw new Error(`api/${name}.js has no default export handler`);
+        }
+        return mod.default;
+      });
+      // Forget failures so the next request tries again.
+      promise.catch(() => loaded.delete(name));
+      loaded.set(name, promise);
+    }
+    return loaded.get(name);
+  }
+
+  const server = createServer(async (req, res) => {
+    addResponseHelpers(res);
+    const url = new URL(req.url, "http://localhost");
+    const path = url.pathname.replace(/\/+$/, "") || "/";
+
+    if (path === "/" || path === "/health") {
+      sendJson(res, 200, { status: "ok", uptime: Math.round(process.uptime()), handlers: handlers.length, ...health() });
+      return;
+    }
+
+    const match = /^\/api\/([^/]+)$/.exec(path);
+    if (!match || !known.has(match[1])) {
+      sendJson(res, 404, errorBody("not_found", "Not found"));
+      return;
+    }
+    const name = match[1];
+
+    try {
+      req.query = parseQuery(url.searchParams);
+      req.body = parseBody(await readBody(req), req.headers["content-type"]);
+    } catch (err) {
+      if (err instanceof BodyError) {
+        sendJson(res, err.status, errorBody(err.code, err.message));
+      } else {
+        // e.g. the client went away mid-upload
+        log.warn("Failed to read request", { handler: name, error: err.message });
+        res.destroy();
+      }
+      return;
+    }
+
+    let handler;
+    try {
+      handler = await loadHandler(name);
+    } catch (err) {
+      log.error("Failed to load handler", { handler: name, err });
+      sendJson(res, 500, errorBody("internal_error", "Internal server error"));
+      return;
+    }
+
+    try {
+      await runWithRequest(req, res, () => handler(req, res));
+    } catch (err) {
+      log.error("Unhandled handler error", { handler: name, err });
+      sendJson(res, 500, errorBody("internal_error", "Internal server error"));
+    }
+  });
+
+  return { server, handlers };
+}
@@ -0,0 +1,100 @@
+// lib/tokenPruning.js
+import { getConfig } from "./config.js";
+import { LEGACY_DEVICE_ID } from "./devices.js";
+import { log } from "./log.js";
+import { devices, metrics, users } from "./repositories/index.js";
+
+/**
+ * Turns provider feedback into token hygiene.
+ *
+ * - remove: the token can never be delivered to again (uninstalled app,
+ *   malformed token)
+ * - flag:   probably bad, but the same error can come from our own payload,
+ *   so the token is marked instead of deleted
+ *
+ * Counters live in metrics/pushTokens: { removed: { <reason>: n }, flagged: { <reason>: n } }.
+ */
+
+const APNS_REMOVE = new Set([
+  "Unregistered",
+  "ExpiredToken",
+]);
+
+// APNs also answers these when the token is fine but we pushed through the
+// other gateway (a sandbox build through production, e.g. from a preview
+// deployment) or with another app's topic. Every VoIP push goes through one
+// provider (APN_ENVIRONMENT, APN_VOIP_TOPIC), so the token is only removed
+// when the device says it belongs there; otherwise it is flagged.
+const APNS_MISMATCH = {
+  BadDeviceToken: (device, apns) => device.environment === apns.environment,
+  DeviceTokenNotForTopic: (device, apns) => !!device.bundleId && `${device.bundleId}.voip` === apns.topic,
+};
+
+const FCM_REMOVE = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+]);
+
+// mismatched-credential also comes from our own service-account/project
+// misconfiguration, in which case every token would be wiped.
+const FCM_FLAG = new Set([
+  "messaging/invalid-argument",
+  "messaging/mismatched-credential",
+]);
+
+const TRANSPORT_FIELD = {
+  "apns-voip": "voipToken",
+  fcm: "fcmToken",
+};
+
+// `device` is the push target the error came back for (see getUserDevices).
+export function classifyDeliveryError(transport, error, device = {}) {
+  if (!error) return null;
+  if (transport === "apns-voip" && APNS_REMOVE.has(error)) return "remove";
+  if (transport === "apns-voip" && Object.prototype.hasOwnProperty.call(APNS_MISMATCH, error)) {
+    return APNS_MISMATCH[error](device, getConfig().apns) ? "remove" : "flag";
+  }
+  if (transport === "fcm" && FCM_REMOVE.has(error)) return "remove";
+  if (transport === "fcm" && FCM_FLAG.has(error)) return "flag";
+  return null;
+}
+
+// Only touches the document if it still holds the failing token, so a token
+// rotated while the push was in flight survives.
+async function applyTokenAction(device, field, action, reason) {
+  const options = action === "flag" ? { flag: reason } : {};
+  if (device.id === LEGACY_DEVICE_ID) {
+    return users.releaseLegacyToken(device.uid, field, device[field], options);
+  }
+  return devices.releaseToken(device.uid, device.id, field, device[field], options);
+}
+
+/**
+ * Prunes or flags the tokens behind failed deliveries. Takes
+ * [{ device, delivery }] pairs where `device` carries `uid` (see
+ * getUserDevices). Annotates each affected delivery with `tokenAction` and
+ * never throws.
+ */
+export async function pruneFailedDeliveries(pairs) {
+  await Promise.all(pairs.map(async ({ device, delivery }) => {
+    if (delivery.ok) return;
+    const action = classifyDeliveryError(delivery.transport, delivery.error, device);
+    const field = TRANSPORT_FIELD[delivery.transport];
+    if (!action || !device.uid || !field) return;
+
+    try {
+      const applied = await applyTokenAction(device, field, action, delivery.error);
+      if (!applied) return;
+      delivery.tokenAction = action === "remove" ? "removed" : "flagged";
+      await metrics.increment("pushTokens", action === "remove" ? "removed" : "flagged", delivery.error);
+      log.warn(`Push token ${delivery.tokenAction}`, {
+        uid: device.uid,
+        deviceId: device.id,
+        transport: delivery.transport,
+        reason: delivery.error,
+      });
+    } catch (err) {
+      log.error("Token pruning error", err);
+    }
+  }));
+}
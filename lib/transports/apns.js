@@ -0,0 +1,58 @@
+// lib/transports/apns.js
+import apn from "apn";
+import { assertConfig } from "../config.js";
+
+/**
+ * APNs transport (VoIP pushes via token-based auth).
+ * The provider is created on first send so importing this module needs no key.
+ * Settings: `apns` in lib/config.js (key, key id, team id, environment).
+ */
+export function createApnsTransport() {
+  let provider = null;
+
+  function getProvider() {
+    if (!provider) {
+      const { apns } = assertConfig("apns");
+      provider = new apn.Provider({
+        token: {
+          key: apns.key.reveal(),
+          keyId: apns.keyId,
+          teamId: apns.teamId,
+        },
+        production: apns.environment === "production",
+      });
+    }
+    return provider;
+  }
+
+  return {
+    name: "apns",
+
+    // spec: { topic, payload, alert?, badge?, sound?, category?, priority? }
+    async sendVoip(token, spec) {
+      const notification = new apn.Notification();
+      notification.topic = spec.topic;
+      notification.pushType = "voip";
+      notification.payload = spec.payload;
+      if (spec.alert) notification.alert = spec.alert;
+      if (spec.badge !== undefined) notification.badge = spec.badge;
+      if (spec.sound) notification.sound = spec.sound;
+      if (spec.category) notification.category = spec.category;
+      if (spec.priority) notification.priority = spec.priority;
+
+      // apn resolves with { sent, failed } instead of throwing per device.
+      const result = await getProvider().send(notification, token);
+      const failure = result && result.failed && result.failed[0];
+      if (!failure) return { ok: true, messageId: null, error: null };
+      const reason = (failure.response && failure.response.reason) || (failure.error && failure.error.message) || "unknown";
+      return { ok: false, messageId: null, error: reason };
+    },
+
+    async shutdown() {
+      if (provider) {
+        provider.shutdown();
+        provider = null;
+      }
+    },
+  };
+}
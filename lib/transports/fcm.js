@@ -0,0 +1,28 @@
+// lib/transports/fcm.js
+import { getMessagingClient } from "../firebase.js";
+
+/**
+ * FCM transport (firebase-admin messaging). `message` is a firebase-admin
+ * Message including its `token`.
+ */
+export function createFcmTransport() {
+  return {
+    name: "fcm",
+
+    async sendFcm(message) {
+      try {
+        const messageId = await getMessagingClient().send(message);
+        return { ok: true, messageId, error: null };
+      } catch (err) {
+        // Provider rejections (bad token, bad payload) are delivery results,
+        // not server errors.
+        if (err && typeof err.code === "string" && err.code.startsWith("messaging/")) {
+          return { ok: false, messageId: null, error: err.code };
+        }
+        throw err;
+      }
+    },
+
+    async shutdown() {},
+  };
+}
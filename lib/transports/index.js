@@ -0,0 +1,61 @@
+// lib/transports/index.js
+import { getConfig } from "../config.js";
+import { createApnsTransport } from "./apns.js";
+import { createFcmTransport } from "./fcm.js";
+import { createLocalTransport } from "./local.js";
+
+/**
+ * Push transport selection. A transport exposes:
+ *   sendVoip(token, spec)  => { ok, messageId, error }
+ *   sendFcm(message)       => { ok, messageId, error }
+ *   shutdown()
+ * Provider rejections resolve with ok: false; only unexpected failures throw.
+ *
+ * PUSH_TRANSPORT (lib/config.js) picks "live" or "local".
+ */
+
+export const PUSH_TRANSPORTS = ["live", "local"];
+
+function createLiveTransport() {
+  const apns = createApnsTransport();
+  const fcm = createFcmTransport();
+  return {
+    name: "live",
+    sendVoip: apns.sendVoip,
+    sendFcm: fcm.sendFcm,
+    async shutdown() {
+      await Promise.all([apns.shutdown(), fcm.shutdown()]);
+    },
+  };
+}
+
+export function createPushTransport(kind = getConfig().push.transport) {
+  switch (kind) {
+    case "live":
+      return createLiveTransport();
+    case "local":
+      return createLocalTransport();
+    default:
+      throw new Error(`Unknown PUSH_TRANSPORT "${kind}" (expected ${PUSH_TRANSPORTS.join(" | ")})`);
+  }
+}
+
+let current = null;
+
+export function getPushTransport() {
+  if (!current) current = createPushTransport();
+  return current;
+}
+
+// Swaps the active transport, e.g. a fresh local transport per test.
+export function setPushTransport(transport) {
+  current = transport;
+  return transport;
+}
+
+export async function shutdownPushTransport() {
+  if (current) {
+    await current.shutdown();
+    current = null;
+  }
+}
@@ -0,0 +1,47 @@
+// lib/transports/local.js
+
+/**
+ * Recording transport for local runs and CI: nothing leaves the process.
+ * Every push is appended to `sent` as { transport, token, message, at }.
+ *
+ * `failures` maps a token to the provider error it should produce
+ * (e.g. { abc: "Unregistered" }) to exercise token pruning.
+ */
+export function createLocalTransport() {
+  const sent = [];
+  const failures = new Map();
+  let counter = 0;
+
+  function record(transport, token, message) {
+    const error = failures.get(token);
+    if (error) return { ok: false, messageId: null, error };
+    counter += 1;
+    const messageId = `local-${counter}`;
+    sent.push({ transport, token, message, messageId, at: Date.now() });
+    return { ok: true, messageId, error: null };
+  }
+
+  return {
+    name: "local",
+    sent,
+
+    async sendVoip(token, spec) {
+      return record("apns-voip", token, spec);
+    },
+
+    async sendFcm(message) {
+      return record("fcm", message.token, message);
+    },
+
+    failToken(token, error) {
+      failures.set(token, error);
+    },
+
+    clear() {
+      sent.length = 0;
+      failures.clear();
+    },
+
+    async shutdown() {},
+  };
+}
@@ -0,0 +1,262 @@
+// lib/validation.js
+import { HttpError } from "./http.js";
+
+/**
+ * Declarative request schemas. Each api/ handler describes its body or query
+ * once, at the top of the file:
+ *
+ *   const BODY = schema({
+ *     channelName: field.string({ required: true, max: 64 }),
+ *     callType: field.string({ values: ["audio", "video"], default: "video" }),
+ *   });
+ *   const body = validateBody(req, BODY);
+ *
+ * and gets back a copy holding only the declared keys, trimmed and defaulted.
+ * Unknown keys are dropped, unless the object is declared `strict` (then they
+ * are an error, e.g. the push payload overrides in lib/invitations.js).
+ *
+ * Every problem is reported at once, as a 400 `invalid_request` whose
+ * details.fields is [{ field, code, message }]. Field codes are stable:
+ *
+ *   required        missing (or empty)
+ *   invalid_type    wrong JSON type
+ *   invalid_value   not one of the allowed values / wrong format
+ *   too_short       string shorter than `min`
+ *   too_long        string longer than `max`, or a list with too many items
+ *   out_of_range    number outside `min`..`max`
+ *   not_allowed     key not in a strict object, or a reserved key
+ *
+ * Bodies over the schema's `maxBytes` (default 16 KB, as JSON) are refused
+ * with 413 `payload_too_large` before anything else is checked.
+ */
+
+export const DEFAULT_MAX_BODY_BYTES = 16 * 1024;
+
+const DEFAULT_MAX_STRING = 256;
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+// A field: `check(value, path, problems)` returns the cleaned value.
+function define(options, check) {
+  return { ...options, check };
+}
+
+function string({ min = 1, max = DEFAULT_MAX_STRING, pattern, values, numeric = false, ...options } = {}) {
+  return define(options, (value, path, problems) => {
+    let v = value;
+    if (numeric && typeof v === "number" && Number.isFinite(v)) v = String(v);
+    if (typeof v !== "string") {
+      problems.push({ field: path, code: "invalid_type", message: `${path} must be a string` });
+      return undefined;
+    }
+    v = v.trim();
+    if (values) {
+      if (!values.includes(v)) {
+        problems.push({ field: path, code: "invalid_value", message: `${path} must be one of: ${values.join(", ")}` });
+      }
+      return v;
+    }
+    if (v.length < min) {
+      problems.push({ field: path, code: "too_short", message: `${path} must be at least ${min} characters` });
+    } else if (v.length > max) {
+      problems.push({ field: path, code: "too_long", message: `${path} must be at most ${max} characters` });
+    } else if (pattern && !pattern.test(v)) {
+      problems.push({ field: path, code: "invalid_value", message: `${path} has an invalid format` });
+    }
+    return v;
+  });
+}
+
+// Whole numbers; numeric strings are accepted too, for query parameters.
+function integer({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER, ...options } = {}) {
+  return define(options, (value, path, problems) => {
+    const n = typeof value === "string" && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(n)) {
+      problems.push({ field: path, code: "invalid_type", message: `${path} must be an integer` });
+      return undefined;
+    }
+    if (n < min || n > max) {
+      problems.push({ field: path, code: "out_of_range", message: `${path} must be between ${min} and ${max}` });
+    }
+    return n;
+  });
+}
+
+function boolean(options = {}) {
+  return define(options, (value, path, problems) => {
+    if (typeof value === "boolean") return value;
+    problems.push({ field: path, code: "invalid_type", message: `${path} must be true or false` });
+    return undefined;
+  });
+}
+
+// A string, number or boolean; strings are limited to `max` characters.
+function scalar({ max = DEFAULT_MAX_STRING, ...options } = {}) {
+  return define(options, (value, path, problems) => {
+    if (typeof value === "string") {
+      if (value.length > max) {
+        problems.push({ field: path, code: "too_long", message: `${path} must be at most ${max} characters` });
+      }
+      return value;
+    }
+    if ((typeof value === "number" && Number.isFinite(value)) || typeof value === "boolean") return value;
+    problems.push({ field: path, code: "invalid_type", message: `${path} must be a string, number or boolean` });
+    return undefined;
+  });
+}
+
+/**
+ * A list of `item`. `single` also accepts one bare item (as a list of one),
+ * for fields like recipientIds that take a username or a list of them.
+ */
+function array(item, { min = 1, max = 50, single = false, ...options } = {}) {
+  return define(options, (value, path, problems) => {
+    const list = !Array.isArray(value) && single ? [value] : value;
+    if (!Array.isArray(list)) {
+      problems.push({ field: path, code: "invalid_type", message: `${path} must be a list` });
+      return undefined;
+    }
+    if (list.length < min) {
+      problems.push({ field: path, code: "required", message: `${path} must have at least ${min} item(s)` });
+    } else if (list.length > max) {
+      problems.push({ field: path, code: "too_long", message: `${path} can have at most ${max} items` });
+      return undefined;
+    }
+    return list.map((v, i) => item.check(v, `${path}[${i}]`, problems));
+  });
+}
+
+function checkShape(shape, value, path, problems, { strict = false, oneOf = [] } = {}) {
+  const prefix = path ? `${path}.` : "";
+  const out = {};
+
+  for (const [key, spec] of Object.entries(shape)) {
+    const v = value[key];
+    if (isMissing(v) && !(v === null && spec.nullable)) {
+      if (spec.required) {
+        problems.push({ field: `${prefix}${key}`, code: "required", message: `${prefix}${key} is required` });
+      } else if (spec.default !== undefined) {
+        out[key] = spec.default;
+      }
+      continue;
+    }
+    out[key] = v === null ? null : spec.check(v, `${prefix}${key}`, problems);
+  }
+
+  if (strict) {
+    Object.keys(value)
+      .filter((key) => !(key in shape))
+      .forEach((key) => problems.push({ field: `${prefix}${key}`, code: "not_allowed", message: `${prefix}${key} is not allowed` }));
+  }
+
+  // Groups of keys of which at least one is required, e.g. [["targetUid", "username"]]
+  for (const keys of oneOf) {
+    if (keys.every((key) => isMissing(value[key]))) {
+      problems.push({
+        field: `${prefix}${keys[0]}`,
+        code: "required",
+        message: `${keys.map((k) => `${prefix}${k}`).join(" or ")} is required`,
+      });
+    }
+  }
+  return out;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+// A nested object of known keys (options: strict, oneOf, as for `schema`).
+function object(shape, { strict, oneOf, ...options } = {}) {
+  return define(options, (value, path, problems) => {
+    if (!isPlainObject(value)) {
+      problems.push({ field: path, code: "invalid_type", message: `${path} must be an object` });
+      return undefined;
+    }
+    return checkShape(shape, value, path, problems, { strict, oneOf });
+  });
+}
+
+/**
+ * An object of free-form keys (e.g. custom CallKit `extra` data): at most
+ * `maxKeys` keys of at most 64 characters, none of them `reserved`, each
+ * value checked by `item`.
+ */
+function record(item, { maxKeys = 20, reserved = [], ...options } = {}) {
+  return define(options, (value, path, problems) => {
+    if (!isPlainObject(value)) {
+      problems.push({ field: path, code: "invalid_type", message: `${path} must be an object` });
+      return undefined;
+    }
+    const entries = Object.entries(value);
+    if (entries.length > maxKeys) {
+      problems.push({ field: path, code: "too_long", message: `${path} can have at most ${maxKeys} keys` });
+      return undefined;
+    }
+    const out = {};
+    for (const [key, v] of entries) {
+      if (reserved.includes(key)) {
+        problems.push({ field: `${path}.${key}`, code: "not_allowed", message: `${path}.${key} is reserved` });
+      } else if (key.length > 64) {
+        problems.push({ field: path, code: "too_long", message: `${path} keys must be at most 64 characters` });
+      } else {
+        out[key] = item.check(v, `${path}.${key}`, problems);
+      }
+    }
+    return out;
+  });
+}
+
+/**
+ * Field builders. Common options: `required`, `default` (used when the value
+ * is missing), `nullable` (null is passed through as a value).
+ */
+export const field = { string, integer, boolean, scalar, array, object, record };
+
+/**
+ * A top-level body / query schema.
+ * Options: `strict` (unknown keys are errors), `oneOf` (groups of keys of
+ * which one is required), `maxBytes` (body size limit).
+ */
+export function schema(shape, { strict = false, oneOf = [], maxBytes = DEFAULT_MAX_BODY_BYTES } = {}) {
+  return { shape, strict, oneOf, maxBytes };
+}
+
+// Checks `input` against `spec`; throws the 400 described above.
+export function validate(spec, input, path = "") {
+  if (input !== undefined && input !== null && !isPlainObject(input)) {
+    throw new HttpError(400, "invalid_request", "The request must be a JSON object", {
+      fields: [{ field: path || "body", code: "invalid_type", message: "must be a JSON object" }],
+    });
+  }
+  const problems = [];
+  const value = checkShape(spec.shape, input || {}, path, problems, spec);
+  if (problems.length) {
+    throw new HttpError(400, "invalid_request", `Invalid request: ${problems.map((p) => p.message).join("; ")}`, {
+      fields: problems,
+    });
+  }
+  return value;
+}
+
+function bodySize(body) {
+  if (body === undefined || body === null) return 0;
+  if (Buffer.isBuffer(body)) return body.length;
+  return Buffer.byteLength(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+export function validateBody(req, spec) {
+  const size = bodySize(req.body);
+  if (size > spec.maxBytes) {
+    throw new HttpError(413, "payload_too_large", `The request body must be at most ${spec.maxBytes} bytes`, {
+      maxBytes: spec.maxBytes,
+    });
+  }
+  return validate(spec, req.body);
+}
+
+export function validateQuery(req, spec) {
+  return validate(spec, req.query);
+}
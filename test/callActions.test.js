@@ -0,0 +1,113 @@
+// test/callActions.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { api, fcmTokenFor, invite, readRoom, seedUsers, sentTo, setupApi } from "./helpers.js";
+
+setupApi();
+
+const ROOM = { channelName: "room-1", callId: "call-1" };
+
+test("acceptCall and endCall move a 1:1 call to ended", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await invite("u1", "bob");
+
+  const accepted = await api("acceptCall", { as: "u2", body: ROOM });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.status, "accepted");
+
+  const ended = await api("endCall", { as: "u1", body: ROOM });
+  assert.equal(ended.status, 200);
+  assert.equal(ended.body.status, "ended");
+  assert.equal(ended.body.isActive, false);
+
+  const room = await readRoom("room-1");
+  assert.equal(room.endedBy, "u1");
+  assert.ok(room.durationMs >= 0);
+});
+
+test("declineCall is for the recipient only", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await invite("u1", "bob");
+
+  const byCaller = await api("declineCall", { as: "u1", body: ROOM });
+  assert.equal(byCaller.status, 403);
+  assert.equal(byCaller.body.code, "not_allowed");
+
+  const res = await api("declineCall", { as: "u2", body: ROOM });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "declined");
+});
+
+test("cancelCall dismisses the ringing screen", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await invite("u1", "bob");
+
+  const res = await api("cancelCall", { as: "u1", body: ROOM });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "cancelled");
+  assert.equal(res.body.deliveries.length, 1);
+
+  const [, dismissal] = sentTo(fcmTokenFor("bob"));
+  assert.equal(dismissal.message.data.id, "call-1");
+  assert.equal(dismissal.message.data.callAction, "end");
+  assert.equal(dismissal.message.data.reason, "cancelled");
+  assert.deepEqual((await readRoom("room-1")).missedUids, ["u2"]);
+});
+
+test("refuses transitions the state machine does not allow", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await invite("u1", "bob");
+
+  const endWhileRinging = await api("endCall", { as: "u1", body: ROOM });
+  assert.equal(endWhileRinging.status, 409);
+  assert.equal(endWhileRinging.body.code, "invalid_transition");
+
+  const wrongCall = await api("acceptCall", { as: "u2", body: { ...ROOM, callId: "other" } });
+  assert.equal(wrongCall.status, 409);
+  assert.equal(wrongCall.body.code, "call_mismatch");
+
+  const unknown = await api("acceptCall", { as: "u2", body: { channelName: "nope" } });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, "call_not_found");
+});
+
+test("group calls end when the last joined participant leaves", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+  await invite("u1", undefined, { recipientIds: ["bob", "carol"] });
+
+  assert.equal((await api("acceptCall", { as: "u2", body: ROOM })).body.status, "accepted");
+  const joinEvent = sentTo(fcmTokenFor("alice")).at(-1);
+  assert.equal(joinEvent.message.data.callAction, "participant_joined");
+  assert.equal(joinEvent.message.data.participantUid, "u2");
+
+  const left = await api("endCall", { as: "u1", body: ROOM });
+  assert.equal(left.body.status, "accepted");
+  assert.equal(left.body.participantState, "left");
+
+  const ended = await api("endCall", { as: "u2", body: ROOM });
+  assert.equal(ended.body.status, "ended");
+  const dismissal = sentTo(fcmTokenFor("carol")).at(-1);
+  assert.equal(dismissal.message.data.callAction, "end");
+});
+
+test("invitees still ringing when a group call ends or is cancelled missed it", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"], ["u4", "dave"]);
+  await invite("u1", undefined, { recipientIds: ["bob", "carol"] });
+  await api("acceptCall", { as: "u2", body: ROOM });
+  await api("endCall", { as: "u1", body: ROOM });
+  await api("endCall", { as: "u2", body: ROOM });
+
+  const ended = await readRoom("room-1");
+  assert.equal(ended.status, "ended");
+  assert.equal(ended.participants.u3.state, "missed");
+  assert.equal(ended.participants.u3.missedAt, ended.endedAt);
+  assert.deepEqual(ended.missedUids, ["u3"]);
+  assert.equal(ended.nextRingExpiresAt, null);
+
+  await invite("u1", undefined, { callId: "call-2", channelName: "room-2", recipientIds: ["carol", "dave"] });
+  await api("cancelCall", { as: "u1", body: { channelName: "room-2" } });
+  const cancelled = await readRoom("room-2");
+  assert.equal(cancelled.participants.u3.state, "missed");
+  assert.equal(cancelled.participants.u4.state, "missed");
+  assert.equal(sentTo(fcmTokenFor("dave")).at(-1).message.data.reason, "cancelled");
+});
@@ -0,0 +1,135 @@
+// test/callHistory.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { api, fcmTokenFor, invite, readRoom, seedRoom, seedUsers, sentTo, setupApi, updateRoom } from "./helpers.js";
+
+setupApi();
+
+const CRON = { authorization: `Bearer ${process.env.CRON_SECRET}` };
+
+// Moves every ring window of the room into the past.
+async function expireRings(channelName) {
+  const room = await readRoom(channelName);
+  const past = Date.now() - 1000;
+  const update = { ringExpiresAt: past, nextRingExpiresAt: past };
+  Object.entries(room.participants || {})
+    .filter(([, p]) => p.ringExpiresAt)
+    .forEach(([uid]) => { update[`participants.${uid}.ringExpiresAt`] = past; });
+  await updateRoom(channelName, update);
+}
+
+test("sweepMissedCalls marks expired rings as missed and tells both sides", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await invite("u1", "bob");
+
+  const early = await api("sweepMissedCalls", { method: "GET", headers: CRON });
+  assert.deepEqual(early.body, { success: true, scanned: 0, missed: 0, ended: 0 });
+
+  await expireRings("room-1");
+  const res = await api("sweepMissedCalls", { method: "GET", headers: CRON });
+  assert.deepEqual(res.body, { success: true, scanned: 1, missed: 1, ended: 0 });
+  assert.equal((await readRoom("room-1")).status, "missed");
+  assert.equal(sentTo(fcmTokenFor("bob")).at(-1).message.data.reason, "missed");
+  assert.equal(sentTo(fcmTokenFor("alice")).at(-1).message.data.callAction, "missed");
+});
+
+test("sweepMissedCalls expires invitees added to an accepted group call", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+  await invite("u1", "bob");
+  await api("acceptCall", { as: "u2", body: { channelName: "room-1" } });
+  await api("addParticipants", { as: "u1", body: { channelName: "room-1", recipientIds: "carol" } });
+  assert.equal((await readRoom("room-1")).nextRingExpiresAt, (await readRoom("room-1")).participants.u3.ringExpiresAt);
+
+  await expireRings("room-1");
+  const res = await api("sweepMissedCalls", { method: "GET", headers: CRON });
+  assert.deepEqual(res.body, { success: true, scanned: 1, missed: 1, ended: 0 });
+
+  const room = await readRoom("room-1");
+  assert.equal(room.status, "accepted");
+  assert.equal(room.participants.u3.state, "missed");
+  assert.equal(room.nextRingExpiresAt, null);
+  assert.deepEqual(room.missedUids, ["u3"]);
+  assert.equal(sentTo(fcmTokenFor("carol")).at(-1).message.data.callAction, "end");
+  assert.equal(sentTo(fcmTokenFor("bob")).at(-1).message.data.callAction, "participant_missed");
+
+  const again = await api("sweepMissedCalls", { method: "GET", headers: CRON });
+  assert.equal(again.body.scanned, 0);
+});
+
+test("sweepMissedCalls closes stale rooms from before ring timeouts", async () => {
+  await seedUsers(["u1", "alice"]);
+  await seedRoom("old-room", {
+    channelName: "old-room", callId: "old", callerUid: "u1", recipientId: "bob",
+    isActive: true, createdAt: Date.now() - 60 * 60 * 1000,
+  });
+  await seedRoom("new-room", { channelName: "new-room", callId: "new", callerUid: "u1", isActive: true, createdAt: Date.now() });
+
+  const res = await api("sweepMissedCalls", { method: "GET", headers: CRON });
+  assert.deepEqual(res.body, { success: true, scanned: 1, missed: 1, ended: 0 });
+  const old = await readRoom("old-room");
+  assert.equal(old.status, "missed");
+  assert.equal(old.isActive, false);
+  assert.equal((await readRoom("new-room")).isActive, true);
+});
+
+test("sweepMissedCalls ends accepted calls past their maximum duration", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+  await invite("u1", "bob");
+  await api("acceptCall", { as: "u2", body: { channelName: "room-1" } });
+  await updateRoom("room-1", { acceptedAt: Date.now() - 30 * 24 * 60 * 60 * 1000 });
+
+  const free = await invite("u3", "bob", { callId: "call-2", channelName: "room-2" });
+  assert.equal(free.status, 200);
+
+  const res = await api("sweepMissedCalls", { method: "GET", headers: CRON });
+  assert.deepEqual(res.body, { success: true, scanned: 1, missed: 0, ended: 1 });
+  const room = await readRoom("room-1");
+  assert.equal(room.status, "ended");
+  assert.equal(room.isActive, false);
+  assert.equal(room.endedBy, null);
+});
+
+test("sweepMissedCalls needs the cron secret", async () => {
+  const res = await api("sweepMissedCalls", { method: "GET", headers: { authorization: "Bearer wrong" } });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "unauthenticated");
+});
+
+test("callHistory lists calls per direction and counts unseen missed calls", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+  await invite("u1", "bob");
+  await api("cancelCall", { as: "u1", body: { channelName: "room-1" } });
+  await invite("u3", "bob", { callId: "call-2", channelName: "room-2" });
+  await api("acceptCall", { as: "u2", body: { channelName: "room-2" } });
+
+  const all = await api("callHistory", { method: "GET", as: "u2" });
+  assert.equal(all.status, 200);
+  assert.deepEqual(all.body.calls.map((c) => [c.callId, c.direction, c.status, c.missed]).sort(), [
+    ["call-1", "incoming", "cancelled", true],
+    ["call-2", "incoming", "accepted", false],
+  ]);
+  assert.equal(all.body.missedCount, 1);
+
+  const missed = await api("callHistory", { method: "GET", as: "u2", query: { filter: "missed" } });
+  assert.deepEqual(missed.body.calls.map((c) => c.callId), ["call-1"]);
+
+  const outgoing = await api("callHistory", { method: "GET", as: "u1", query: { filter: "outgoing", limit: 1 } });
+  assert.equal(outgoing.body.calls[0].otherParty.username, "bob");
+  assert.equal(outgoing.body.nextCursor, null);
+
+  const badLimit = await api("callHistory", { method: "GET", as: "u2", query: { limit: 500 } });
+  assert.equal(badLimit.status, 400);
+  assert.equal(badLimit.body.details.fields[0].code, "out_of_range");
+});
+
+test("markMissedCallsSeen clears the missed-call badge", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await invite("u1", "bob");
+  await api("cancelCall", { as: "u1", body: { channelName: "room-1" } });
+
+  assert.equal((await api("missedCallCount", { method: "GET", as: "u2" })).body.count, 1);
+  const seen = await api("markMissedCallsSeen", { as: "u2", body: {} });
+  assert.equal(seen.status, 200);
+  assert.equal(seen.body.count, 0);
+  assert.equal((await api("missedCallCount", { method: "GET", as: "u2" })).body.count, 0);
+});
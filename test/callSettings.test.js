@@ -0,0 +1,55 @@
+// test/callSettings.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { api, invite, seedUsers, setupApi } from "./helpers.js";
+
+setupApi();
+
+test("blockUser, blockedUsers and unblockUser manage the block list", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+
+  const blocked = await api("blockUser", { as: "u1", body: { username: "bob" } });
+  assert.equal(blocked.status, 200);
+  assert.equal(blocked.body.blockedUid, "u2");
+
+  const list = await api("blockedUsers", { method: "GET", as: "u1" });
+  assert.deepEqual(list.body.blocked.map((b) => [b.uid, b.username]), [["u2", "bob"]]);
+
+  const call = await invite("u1", "bob");
+  assert.equal(call.status, 403);
+  assert.equal(call.body.code, "recipient_blocked");
+
+  const unblocked = await api("unblockUser", { as: "u1", body: { targetUid: "u2" } });
+  assert.deepEqual(unblocked.body, { success: true, unblockedUid: "u2", wasBlocked: true });
+  assert.deepEqual((await api("blockedUsers", { method: "GET", as: "u1" })).body.blocked, []);
+});
+
+test("blockUser refuses yourself and unknown users", async () => {
+  await seedUsers(["u1", "alice"]);
+
+  assert.equal((await api("blockUser", { as: "u1", body: { targetUid: "u1" } })).body.code, "invalid_target");
+  assert.equal((await api("blockUser", { as: "u1", body: { username: "nobody" } })).status, 404);
+  const empty = await api("blockUser", { as: "u1", body: {} });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.details.fields[0].field, "targetUid");
+});
+
+test("updateCallSettings stores whoCanCall and do-not-disturb", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+
+  const res = await api("updateCallSettings", {
+    as: "u2",
+    body: { whoCanCall: "nobody", quietHours: { start: "22:00", end: "07:00", timeZone: "Europe/Berlin" } },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.callSettings.whoCanCall, "nobody");
+  assert.deepEqual(res.body.callSettings.quietHours, { start: "22:00", end: "07:00", timeZone: "Europe/Berlin" });
+
+  const call = await invite("u1", "bob");
+  assert.equal(call.status, 403);
+  assert.equal(call.body.code, "calls_disabled");
+
+  const empty = await api("updateCallSettings", { as: "u2", body: {} });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.code, "invalid_setting");
+});
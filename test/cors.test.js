@@ -0,0 +1,67 @@
+// test/cors.test.js
+import "./env.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { applyCors, createCorsPolicy } from "../lib/cors.js";
+
+function policyFor(environment, origins) {
+  return createCorsPolicy({ environment, cors: { origins, allowedHeaders: [], debug: false } });
+}
+
+// Headers applyCors sets for a request from `origin`.
+function corsHeaders(origin, { method = "GET", requestHeaders } = {}) {
+  const headers = {};
+  const res = { setHeader: (name, value) => { headers[name.toLowerCase()] = value; } };
+  const req = {
+    method,
+    headers: {
+      ...(origin ? { origin } : {}),
+      ...(requestHeaders ? { "access-control-request-headers": requestHeaders } : {}),
+    },
+  };
+  const allowed = applyCors(req, res, ["POST"]);
+  return { allowed, headers };
+}
+
+test("wildcard patterns match subdomains over the same scheme, not the bare domain", () => {
+  const policy = policyFor("production", ["https://*.flirtbate.app", "https://flirtbate.web.app"]);
+
+  assert.equal(policy.isAllowedOrigin("https://beta.flirtbate.app"), true);
+  assert.equal(policy.isAllowedOrigin("https://a.b.flirtbate.app"), true);
+  assert.equal(policy.isAllowedOrigin("https://flirtbate.app"), false);
+  assert.equal(policy.isAllowedOrigin("http://beta.flirtbate.app"), false);
+  assert.equal(policy.isAllowedOrigin("https://evil-flirtbate.app"), false);
+  assert.equal(policy.isAllowedOrigin("https://beta.flirtbate.app.evil.com"), false);
+  assert.equal(policy.isAllowedOrigin("https://flirtbate.web.app"), true);
+  assert.equal(policy.isAllowedOrigin(undefined), false);
+});
+
+test("localhost is only allowed in development", () => {
+  for (const origin of ["http://localhost:5173", "http://127.0.0.1:3000"]) {
+    assert.equal(policyFor("development", []).isAllowedOrigin(origin), true, origin);
+    assert.equal(policyFor("preview", []).isAllowedOrigin(origin), false, origin);
+    assert.equal(policyFor("production", []).isAllowedOrigin(origin), false, origin);
+  }
+});
+
+test("preflights advertise the fixed header list, never the requested headers", () => {
+  const { allowed, headers } = corsHeaders("https://flirtbate.web.app", {
+    method: "OPTIONS",
+    requestHeaders: "x-evil-header, authorization",
+  });
+
+  assert.equal(allowed, true);
+  assert.equal(headers["access-control-allow-origin"], "https://flirtbate.web.app");
+  assert.equal(headers["access-control-allow-methods"], "POST,OPTIONS");
+  assert.ok(headers["access-control-allow-headers"].includes("authorization"));
+  assert.ok(!headers["access-control-allow-headers"].includes("x-evil-header"));
+});
+
+test("disallowed origins get no Access-Control-Allow-* headers", () => {
+  for (const method of ["OPTIONS", "POST"]) {
+    const { allowed, headers } = corsHeaders("https://evil.example", { method, requestHeaders: "authorization" });
+    assert.equal(allowed, false, method);
+    assert.deepEqual(Object.keys(headers).filter((h) => h.startsWith("access-control-")), [], method);
+    assert.equal(headers.vary, "Origin");
+  }
+});
@@ -0,0 +1,144 @@
+// test/devices.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { api, current, fcmTokenFor, invite, readDoc, seedUsers, sentTo, setupApi, voipTokenFor } from "./helpers.js";
+import { classifyDeliveryError } from "../lib/tokenPruning.js";
+
+setupApi();
+
+const IOS = { deviceId: "phone-1", platform: "ios", voipToken: voipTokenFor("bob-phone"), fcmToken: fcmTokenFor("bob-phone") };
+const ANDROID = { deviceId: "tablet-1", platform: "android", fcmToken: fcmTokenFor("bob-tablet") };
+
+test("registerDevice stores the device and rings every registered device", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+
+  const res = await api("registerDevice", { as: "u2", body: IOS });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.device.id, "phone-1");
+  assert.equal(res.body.device.environment, "production");
+  assert.equal((await api("registerDevice", { as: "u2", body: ANDROID })).status, 200);
+
+  const call = await invite("u1", "bob");
+  assert.equal(call.body.recipient.devices, 2);
+  assert.equal(sentTo(IOS.voipToken).length, 1);
+  assert.equal(sentTo(ANDROID.fcmToken).length, 1);
+  assert.equal(sentTo(fcmTokenFor("bob")).length, 0);
+});
+
+test("registerDevice validates tokens and platforms", async () => {
+  await seedUsers(["u2", "bob"]);
+
+  const androidVoip = await api("registerDevice", { as: "u2", body: { ...ANDROID, voipToken: IOS.voipToken } });
+  assert.equal(androidVoip.status, 400);
+  assert.equal(androidVoip.body.code, "invalid_voip_token");
+
+  const noToken = await api("registerDevice", { as: "u2", body: { deviceId: "x", platform: "ios" } });
+  assert.equal(noToken.status, 400);
+  assert.equal(noToken.body.code, "missing_token");
+
+  const badId = await api("registerDevice", { as: "u2", body: { ...ANDROID, deviceId: "a/b" } });
+  assert.equal(badId.status, 400);
+  assert.equal(badId.body.code, "invalid_device_id");
+
+  const reserved = await api("registerDevice", { as: "u2", body: { ...ANDROID, deviceId: "legacy" } });
+  assert.equal(reserved.status, 400);
+  assert.equal(reserved.body.code, "invalid_device_id");
+});
+
+test("a token moves to the account that registers it last", async () => {
+  await seedUsers(["u2", "bob"], ["u3", "carol"]);
+  await api("registerDevice", { as: "u2", body: ANDROID });
+
+  const res = await api("registerDevice", { as: "u3", body: { ...ANDROID, deviceId: "shared" } });
+  assert.equal(res.body.device.released, 1);
+  assert.equal(await readDoc("user/u2/devices/tablet-1"), null);
+});
+
+test("refreshDevice rotates a token and unregisterDevice removes the device", async () => {
+  await seedUsers(["u2", "bob"]);
+  await api("registerDevice", { as: "u2", body: ANDROID });
+
+  const rotated = fcmTokenFor("bob-tablet-2");
+  const refreshed = await api("refreshDevice", { as: "u2", body: { deviceId: "tablet-1", fcmToken: rotated } });
+  assert.equal(refreshed.status, 200);
+  assert.equal((await readDoc("user/u2/devices/tablet-1")).fcmToken, rotated);
+
+  const oversized = await api("refreshDevice", { as: "u2", body: { deviceId: "tablet-1", fcmToken: "x".repeat(4097) } });
+  assert.equal(oversized.status, 400);
+  assert.equal(oversized.body.details.fields[0].field, "fcmToken");
+
+  const unknown = await api("refreshDevice", { as: "u2", body: { deviceId: "nope", fcmToken: rotated } });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, "device_not_found");
+
+  assert.equal((await api("unregisterDevice", { as: "u2", body: { deviceId: "tablet-1" } })).body.removed, true);
+  assert.equal((await api("unregisterDevice", { as: "u2", body: { deviceId: "tablet-1" } })).body.removed, false);
+});
+
+test("dead tokens reported by the providers are pruned or flagged", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await api("registerDevice", { as: "u2", body: IOS });
+  await api("registerDevice", { as: "u2", body: ANDROID });
+  current.transport.failToken(IOS.voipToken, "Unregistered");
+  current.transport.failToken(ANDROID.fcmToken, "messaging/invalid-argument");
+
+  const res = await invite("u1", "bob");
+  const actions = Object.fromEntries(res.body.recipient.deliveries.map((d) => [d.deviceId, d.tokenAction]));
+  assert.deepEqual(actions, { "phone-1": "removed", "tablet-1": "flagged" });
+
+  const phone = await readDoc("user/u2/devices/phone-1");
+  assert.equal(phone.voipToken, null);
+  assert.equal(phone.fcmToken, IOS.fcmToken);
+  const tablet = await readDoc("user/u2/devices/tablet-1");
+  assert.equal(tablet.fcmToken, ANDROID.fcmToken);
+  assert.equal(tablet.tokenFlags.fcmToken.reason, "messaging/invalid-argument");
+
+  const metrics = await readDoc("metrics/pushTokens");
+  assert.equal(metrics.removed.Unregistered, 1);
+  assert.equal(metrics.flagged["messaging/invalid-argument"], 1);
+});
+
+test("credential errors that may be our own misconfiguration only flag the token", () => {
+  assert.equal(classifyDeliveryError("fcm", "messaging/mismatched-credential"), "flag");
+  assert.equal(classifyDeliveryError("fcm", "messaging/registration-token-not-registered"), "remove");
+  assert.equal(classifyDeliveryError("apns-voip", "messaging/mismatched-credential"), null);
+});
+
+test("APNs token errors only remove tokens that belong to the configured gateway and topic", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  const SANDBOX = { ...IOS, deviceId: "dev-phone", voipToken: voipTokenFor("bob-dev"), environment: "sandbox" };
+  await api("registerDevice", { as: "u2", body: SANDBOX });
+  await api("registerDevice", { as: "u2", body: { ...IOS, bundleId: "com.other.app" } });
+  current.transport.failToken(SANDBOX.voipToken, "BadDeviceToken");
+  current.transport.failToken(IOS.voipToken, "DeviceTokenNotForTopic");
+
+  const res = await invite("u1", "bob");
+  const actions = Object.fromEntries(res.body.recipient.deliveries.map((d) => [d.deviceId, d.tokenAction]));
+  assert.deepEqual(actions, { "dev-phone": "flagged", "phone-1": "flagged" });
+  assert.equal((await readDoc("user/u2/devices/dev-phone")).voipToken, SANDBOX.voipToken);
+  assert.equal((await readDoc("user/u2/devices/phone-1")).voipToken, IOS.voipToken);
+
+  const production = { environment: "production", bundleId: "bma.agora.poc" };
+  assert.equal(classifyDeliveryError("apns-voip", "BadDeviceToken", production), "remove");
+  assert.equal(classifyDeliveryError("apns-voip", "DeviceTokenNotForTopic", production), "remove");
+});
+
+test("a flag raised for a token does not outlive it", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await api("registerDevice", { as: "u2", body: ANDROID });
+  current.transport.failToken(ANDROID.fcmToken, "messaging/invalid-argument");
+  await invite("u1", "bob");
+  assert.ok((await readDoc("user/u2/devices/tablet-1")).tokenFlags.fcmToken);
+
+  await api("registerDevice", { as: "u2", body: ANDROID });
+  assert.ok((await readDoc("user/u2/devices/tablet-1")).tokenFlags.fcmToken, "same token, flag kept");
+
+  const rotated = fcmTokenFor("bob-tablet-2");
+  await api("refreshDevice", { as: "u2", body: { deviceId: "tablet-1", fcmToken: rotated } });
+  assert.equal((await readDoc("user/u2/devices/tablet-1")).tokenFlags.fcmToken, undefined);
+
+  await api("cancelCall", { as: "u1", body: { channelName: "room-1" } });
+  current.transport.failToken(rotated, "messaging/invalid-argument");
+  const res = await invite("u1", "bob", { callId: "call-2", channelName: "room-2" });
+  assert.equal(res.body.recipient.deliveries[0].tokenAction, "flagged");
+});
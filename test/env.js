@@ -0,0 +1,13 @@
+// test/env.js
+
+/**
+ * Settings for the test processes, applied before lib/config.js is first
+ * read. Data and pushes never leave the process; the rest can be overridden
+ * from the environment.
+ */
+process.env.DATA_STORE = "memory";
+process.env.PUSH_TRANSPORT = "local";
+process.env.AGORA_APP_ID ??= "0123456789abcdef0123456789abcdef";
+process.env.AGORA_APP_CERT ??= "fedcba9876543210fedcba9876543210";
+process.env.CRON_SECRET ??= "test-cron-secret";
+process.env.LOG_LEVEL ??= "error";
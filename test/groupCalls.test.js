@@ -0,0 +1,147 @@
+// test/groupCalls.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { api, fcmTokenFor, invite, readRoom, seedUsers, sentTo, setClaims, setupApi } from "./helpers.js";
+
+setupApi();
+
+const ROOM = { channelName: "room-1", callId: "call-1" };
+
+test("addParticipants rings new invitees into a running call", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+  await invite("u1", "bob");
+  await api("acceptCall", { as: "u2", body: ROOM });
+
+  const res = await api("addParticipants", { as: "u2", body: { channelName: "room-1", recipientIds: ["carol", "alice"] } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.participantCount, 3);
+  assert.deepEqual(res.body.added.map((a) => a.recipientId), ["carol"]);
+  assert.deepEqual(res.body.skipped, [{ recipientId: "alice", reason: "already_in_call" }]);
+
+  const [ring] = sentTo(fcmTokenFor("carol"));
+  assert.equal(ring.message.data.id, "call-1");
+  assert.equal(ring.message.data.isGroup, "true");
+
+  const room = await readRoom("room-1");
+  assert.equal(room.isGroup, true);
+  assert.equal(room.participants.u3.state, "ringing");
+  assert.equal(room.participants.u3.invitedBy, "u2");
+});
+
+test("addParticipants is for joined participants of a live call", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+  await invite("u1", "bob");
+
+  const outsider = await api("addParticipants", { as: "u3", body: { channelName: "room-1", recipientIds: "bob" } });
+  assert.equal(outsider.status, 403);
+  assert.equal(outsider.body.code, "not_allowed");
+
+  const missing = await api("addParticipants", { as: "u1", body: { channelName: "nope", recipientIds: "carol" } });
+  assert.equal(missing.status, 404);
+});
+
+test("addParticipants skips recipients who may not be called", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"], ["u4", "dave"]);
+  await api("blockUser", { as: "u3", body: { username: "bob" } });
+  await api("updateCallSettings", { as: "u4", body: { whoCanCall: "nobody" } });
+  await invite("u1", "bob");
+  await api("acceptCall", { as: "u2", body: ROOM });
+
+  const res = await api("addParticipants", { as: "u2", body: { channelName: "room-1", recipientIds: ["carol", "dave"] } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.added, []);
+  assert.deepEqual(res.body.skipped, [
+    { recipientId: "carol", reason: "blocked" },
+    { recipientId: "dave", reason: "calls_disabled" },
+  ]);
+  assert.equal(sentTo(fcmTokenFor("carol")).length, 0);
+  assert.equal(sentTo(fcmTokenFor("dave")).length, 0);
+  assert.equal((await readRoom("room-1")).participants, undefined);
+});
+
+test("addParticipants skips recipients the caller may not call", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+  await api("blockUser", { as: "u3", body: { username: "alice" } });
+  await invite("u1", "bob");
+  await api("acceptCall", { as: "u2", body: ROOM });
+
+  const res = await api("addParticipants", { as: "u2", body: { channelName: "room-1", recipientIds: ["carol"] } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.added, []);
+  assert.deepEqual(res.body.skipped, [{ recipientId: "carol", reason: "not_allowed_in_call" }]);
+  assert.equal(sentTo(fcmTokenFor("carol")).length, 0);
+});
+
+test("setParticipantRole changes a participant's role and tells them", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+  await invite("u1", undefined, { recipientIds: ["bob", "carol"] });
+
+  const res = await api("setParticipantRole", { as: "u1", body: { channelName: "room-1", targetUid: "u2", role: "audience" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.previousRole, "speaker");
+  assert.equal(res.body.role, "audience");
+  assert.equal(sentTo(fcmTokenFor("bob")).at(-1).message.data.callAction, "role_changed");
+
+  const byAudience = await api("setParticipantRole", { as: "u2", body: { channelName: "room-1", targetUid: "u3", role: "audience" } });
+  assert.equal(byAudience.status, 403);
+
+  const stranger = await api("setParticipantRole", { as: "u1", body: { channelName: "room-1", targetUid: "u9", role: "audience" } });
+  assert.equal(stranger.status, 404);
+  assert.equal(stranger.body.code, "participant_not_found");
+});
+
+test("setParticipantRole lets moderator accounts attach observers and tells everyone in the call", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"], ["u4", "dave"]);
+  await invite("u1", "bob");
+
+  const body = { channelName: "room-1", targetUid: "u3", role: "moderator" };
+  const unclaimed = await api("setParticipantRole", { as: "u1", body });
+  assert.equal(unclaimed.status, 403);
+  assert.equal(unclaimed.body.code, "moderator_required");
+
+  setClaims("u1", { moderator: true });
+  const res = await api("setParticipantRole", { as: "u1", body });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.attached, true);
+  assert.equal(res.body.previousRole, null);
+  assert.deepEqual(res.body.observers, ["u3"]);
+  assert.equal(sentTo(fcmTokenFor("carol")).length, 0);
+  assert.equal((await readRoom("room-1")).roles.u3, "moderator");
+
+  const event = sentTo(fcmTokenFor("bob")).at(-1).message.data;
+  assert.equal(event.callAction, "participant_attached");
+  assert.equal(event.participantUid, "u3");
+  assert.deepEqual((await api("callHistory", { method: "GET", as: "u2" })).body.calls[0].observers, ["u3"]);
+
+  const token = await api("token", { method: "GET", as: "u3", query: { channel: "room-1" } });
+  assert.equal(token.status, 200);
+  assert.equal(token.body.role, "moderator");
+
+  const speaker = await api("setParticipantRole", { as: "u1", body: { channelName: "room-1", targetUid: "u4", role: "speaker" } });
+  assert.equal(speaker.status, 404);
+  assert.equal(speaker.body.code, "participant_not_found");
+});
+
+test("setParticipantRole only attaches callable users, who cannot publish or end the call", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"], ["u4", "dave"]);
+  await api("blockUser", { as: "u4", body: { username: "alice" } });
+  await invite("u1", "bob");
+  await api("acceptCall", { as: "u2", body: ROOM });
+  setClaims("u1", { moderator: true });
+
+  const blocked = await api("setParticipantRole", { as: "u1", body: { channelName: "room-1", targetUid: "u4", role: "audience" } });
+  assert.equal(blocked.status, 403);
+  assert.equal(blocked.body.code, "blocked");
+  assert.equal((await readRoom("room-1")).roles, undefined);
+
+  await api("setParticipantRole", { as: "u1", body: { channelName: "room-1", targetUid: "u3", role: "audience" } });
+  assert.equal((await readRoom("room-1")).observers.u3.attachedBy, "u1");
+
+  const promoted = await api("setParticipantRole", { as: "u1", body: { channelName: "room-1", targetUid: "u3", role: "speaker" } });
+  assert.equal(promoted.status, 403);
+  assert.equal(promoted.body.code, "not_allowed");
+
+  const ended = await api("endCall", { as: "u3", body: ROOM });
+  assert.equal(ended.status, 403);
+  assert.equal((await readRoom("room-1")).status, "accepted");
+});
@@ -0,0 +1,151 @@
+// test/helpers.js
+import "./env.js";
+import { after, before, beforeEach } from "node:test";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { setAuthClient, setDb } from "../lib/firebase.js";
+import { createMemoryStore } from "../lib/memoryStore.js";
+import { COLLECTIONS } from "../lib/schema.js";
+import { createApiServer } from "../lib/server.js";
+import { createLocalTransport } from "../lib/transports/local.js";
+import { setPushTransport } from "../lib/transports/index.js";
+
+/**
+ * Integration harness: every api/ handler served by lib/server.js on a
+ * random port, backed by a fresh memory store (lib/memoryStore.js) and a
+ * recording local transport (lib/transports/local.js) per test.
+ *
+ * ID tokens are `test-<uid>`; anything else is rejected like an invalid
+ * Firebase token. Custom claims come from `setClaims`. Import this before any lib/ module, so the settings in
+ * ./env.js are in place when lib/config.js is first read.
+ *
+ *   setupApi();
+ *   test("...", async () => {
+ *     await seedUser("u1", { username: "alice" });
+ *     const res = await api("blockedUsers", { method: "GET", as: "u1" });
+ *     assert.equal(res.status, 200);
+ *   });
+ */
+
+export const API_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "api");
+
+const stubAuth = {
+  async verifyIdToken(idToken) {
+    if (!idToken.startsWith("test-")) {
+      const err = new Error("Invalid ID token");
+      err.code = "auth/argument-error";
+      throw err;
+    }
+    const uid = idToken.slice("test-".length);
+    return { ...current.claims.get(uid), uid };
+  },
+};
+
+let server = null;
+let baseUrl = null;
+
+/** The store and transport of the running test. */
+export const current = { db: null, transport: null, claims: new Map() };
+
+export function setupApi() {
+  before(async () => {
+    setAuthClient(stubAuth);
+    ({ server } = await createApiServer({ apiDir: API_DIR }));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    current.db = setDb(createMemoryStore());
+    current.transport = setPushTransport(createLocalTransport());
+    current.claims = new Map();
+  });
+}
+
+// Custom claims `uid`'s ID token carries for the rest of the test.
+export function setClaims(uid, claims) {
+  current.claims.set(uid, claims);
+}
+
+/**
+ * Calls /api/<name> as user `as` (no Authorization header without it).
+ * `body` is sent as JSON, `rawBody` as is.
+ * Resolves with { status, body, headers }; `body` is parsed JSON or null.
+ */
+export async function api(name, { method = "POST", as, body, rawBody, query, headers = {} } = {}) {
+  const url = new URL(`/api/${name}`, baseUrl);
+  Object.entries(query || {}).forEach(([k, v]) => url.searchParams.set(k, String(v)));
+
+  const res = await fetch(url, {
+    method,
+    headers: {
+      ...(body !== undefined ? { "content-type": "application/json" } : {}),
+      ...(as ? { authorization: `Bearer test-${as}` } : {}),
+      ...headers,
+    },
+    body: rawBody ?? (body !== undefined ? JSON.stringify(body) : undefined),
+  });
+  const text = await res.text();
+  return { status: res.status, body: text ? JSON.parse(text) : null, headers: res.headers };
+}
+
+// GET /<path> on the test server (e.g. /health).
+export async function get(path) {
+  const res = await fetch(new URL(path, baseUrl));
+  return { status: res.status, body: await res.json() };
+}
+
+// Valid-looking push tokens, distinct per `name`.
+export function fcmTokenFor(name) {
+  return `fcm-${name}:APA91b${"x".repeat(40)}`;
+}
+
+export function voipTokenFor(name) {
+  return Buffer.from(name.padEnd(32, "-")).toString("hex").slice(0, 64);
+}
+
+/** Writes user/{uid}. Legacy users carry their tokens on this document. */
+export async function seedUser(uid, data) {
+  await current.db.collection(COLLECTIONS.USERS).doc(uid).set(data);
+}
+
+// A user with one legacy Android token, the shape most tests need.
+export async function seedUsers(...entries) {
+  for (const [uid, username] of entries) {
+    await seedUser(uid, { username, fcmToken: fcmTokenFor(username) });
+  }
+}
+
+// Writes room/{channelName} as is, e.g. a room from before `status` existed.
+export async function seedRoom(channelName, data) {
+  await current.db.collection(COLLECTIONS.ROOMS).doc(channelName).set(data);
+}
+
+export async function readRoom(channelName) {
+  const snap = await current.db.collection(COLLECTIONS.ROOMS).doc(channelName).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function updateRoom(channelName, update) {
+  await current.db.collection(COLLECTIONS.ROOMS).doc(channelName).update(update);
+}
+
+export async function readDoc(path) {
+  const snap = await current.db.doc(path).get();
+  return snap.exists ? snap.data() : null;
+}
+
+// Pushes recorded by the local transport for `token`.
+export function sentTo(token) {
+  return current.transport.sent.filter((s) => s.token === token);
+}
+
+/** Starts a ringing 1:1 call from `callerUid` to the user named `recipientId`. */
+export async function invite(callerUid, recipientId, { callId = "call-1", channelName = "room-1", ...body } = {}) {
+  return api("sendCallInvitation", { as: callerUid, body: { callId, channelName, recipientId, ...body } });
+}
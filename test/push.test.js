@@ -0,0 +1,65 @@
+// test/push.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { api, current, fcmTokenFor, invite, readDoc, seedUsers, setupApi, voipTokenFor } from "./helpers.js";
+
+setupApi();
+
+const IOS = { deviceId: "phone-1", platform: "ios", voipToken: voipTokenFor("bob-phone"), fcmToken: fcmTokenFor("bob-phone") };
+const ANDROID = { deviceId: "tablet-1", platform: "android", fcmToken: fcmTokenFor("bob-tablet") };
+
+// [transport, token, call action] of everything sent since `from`.
+function sentSince(from) {
+  return current.transport.sent.slice(from).map((s) => {
+    const data = s.transport === "fcm" ? s.message.data : s.message.payload;
+    return [s.transport, s.token, data.callAction || "ring"];
+  });
+}
+
+test("records the ring, the cancel and nothing more for a pruned token", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await api("registerDevice", { as: "u2", body: IOS });
+  await api("registerDevice", { as: "u2", body: ANDROID });
+  current.transport.failToken(ANDROID.fcmToken, "messaging/registration-token-not-registered");
+
+  await invite("u1", "bob");
+  assert.deepEqual(sentSince(0), [["apns-voip", IOS.voipToken, "ring"]]);
+  const [ring] = current.transport.sent;
+  assert.equal(ring.message.payload.id, "call-1");
+  assert.equal(ring.message.payload.extra.channelName, "room-1");
+  assert.equal(await readDoc("user/u2/devices/tablet-1"), null);
+
+  await api("cancelCall", { as: "u1", body: { channelName: "room-1" } });
+  assert.deepEqual(sentSince(1), [
+    ["apns-voip", IOS.voipToken, "end"],
+    ["fcm", IOS.fcmToken, "end"],
+  ]);
+  current.transport.sent.slice(1).forEach((s) => {
+    const data = s.transport === "fcm" ? s.message.data : s.message.payload;
+    assert.equal(data.id, "call-1");
+    assert.equal(data.reason, "cancelled");
+  });
+});
+
+test("dismisses the recipient's other devices on accept and tells the caller about a decline", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await api("registerDevice", { as: "u2", body: IOS });
+  await api("registerDevice", { as: "u2", body: ANDROID });
+
+  await invite("u1", "bob");
+  const rung = current.transport.sent.length;
+  await api("acceptCall", { as: "u2", body: { channelName: "room-1", deviceId: "phone-1" } });
+  assert.deepEqual(sentSince(rung), [["fcm", ANDROID.fcmToken, "end"]]);
+  assert.equal(current.transport.sent.at(-1).message.data.reason, "accepted");
+  await api("endCall", { as: "u2", body: { channelName: "room-1" } });
+
+  await invite("u1", "bob", { callId: "call-2", channelName: "room-2" });
+  const rungAgain = current.transport.sent.length;
+  await api("declineCall", { as: "u2", body: { channelName: "room-2" } });
+  assert.deepEqual(sentSince(rungAgain), [
+    ["apns-voip", IOS.voipToken, "end"],
+    ["fcm", IOS.fcmToken, "end"],
+    ["fcm", ANDROID.fcmToken, "end"],
+    ["fcm", fcmTokenFor("alice"), "declined"],
+  ]);
+});
@@ -0,0 +1,217 @@
+// test/sendCallInvitation.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { api, current, fcmTokenFor, invite, readRoom, seedRoom, seedUser, seedUsers, sentTo, setupApi, voipTokenFor } from "./helpers.js";
+
+setupApi();
+
+test("rings the recipient over FCM and saves a ringing room", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+
+  const res = await invite("u1", "bob", { callerName: "Alice", callType: "audio" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ringing");
+  assert.equal(res.body.recipient.delivered, 1);
+
+  const [push] = sentTo(fcmTokenFor("bob"));
+  assert.equal(push.transport, "fcm");
+  assert.equal(push.message.data.id, "call-1");
+  assert.equal(push.message.data.callAction, "create");
+  assert.equal(push.message.data.nameCaller, "Alice");
+  assert.equal(push.message.data.type, "0");
+  const extra = JSON.parse(push.message.data.extra);
+  assert.equal(extra.channelName, "room-1");
+  assert.equal(extra.callerUid, "u1");
+  assert.equal(extra.agoraToken, undefined);
+
+  const room = await readRoom("room-1");
+  assert.equal(room.status, "ringing");
+  assert.equal(room.callerUid, "u1");
+  assert.equal(room.recipientUid, "u2");
+  assert.ok(room.ringExpiresAt > Date.now());
+});
+
+test("rings iOS devices over VoIP only", async () => {
+  await seedUsers(["u1", "alice"]);
+  await seedUser("u2", {
+    username: "bob", platform: "ios", fcmToken: fcmTokenFor("bob"), voipToken: voipTokenFor("bob"),
+  });
+
+  const res = await invite("u1", "bob");
+  assert.equal(res.status, 200);
+  assert.equal(sentTo(fcmTokenFor("bob")).length, 0);
+  const [push] = sentTo(voipTokenFor("bob"));
+  assert.equal(push.transport, "apns-voip");
+  assert.equal(push.message.payload.id, "call-1");
+  assert.equal(push.message.payload.extra.channelName, "room-1");
+});
+
+test("takes the caller from the ID token", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+
+  assert.equal((await api("sendCallInvitation", { body: { callId: "c", channelName: "r", recipientId: "bob" } })).status, 401);
+  const res = await invite("u1", "bob", { callerUid: "u2" });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "forbidden");
+});
+
+test("applies only whitelisted payload overrides", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+
+  const refused = await invite("u1", "bob", { payload: { id: "other", extra: { agoraToken: "x" } } });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, "invalid_request");
+  assert.deepEqual(
+    refused.body.details.fields.map((f) => [f.field, f.code]).sort(),
+    [["payload.extra.agoraToken", "not_allowed"], ["payload.id", "not_allowed"]]
+  );
+  assert.equal(current.transport.sent.length, 0);
+
+  const res = await invite("u1", "bob", { payload: { appName: "Calls", extra: { theme: "dark" } } });
+  assert.equal(res.status, 200);
+  const [push] = sentTo(fcmTokenFor("bob"));
+  assert.equal(push.message.data.appName, "Calls");
+  assert.equal(JSON.parse(push.message.data.extra).theme, "dark");
+});
+
+test("rejects invalid bodies with every failing field", async () => {
+  await seedUsers(["u1", "alice"]);
+
+  const res = await api("sendCallInvitation", { as: "u1", body: { callType: "fax" } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.details.fields.map((f) => [f.field, f.code]), [
+    ["callId", "required"],
+    ["channelName", "required"],
+    ["callType", "invalid_value"],
+    ["recipientId", "required"],
+  ]);
+
+  const big = await invite("u1", "bob", { callerName: "x".repeat(20000) });
+  assert.equal(big.status, 413);
+  assert.equal(big.body.code, "payload_too_large");
+});
+
+test("refuses calls to yourself", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+
+  const self = await invite("u1", "alice");
+  assert.equal(self.status, 400);
+  assert.equal(self.body.code, "invalid_recipients");
+  assert.equal(sentTo(fcmTokenFor("alice")).length, 0);
+  assert.equal(await readRoom("room-1"), null);
+});
+
+test("answers 404 for unknown recipients", async () => {
+  await seedUsers(["u1", "alice"]);
+
+  const res = await invite("u1", "nobody");
+  assert.equal(res.status, 404);
+  assert.equal(res.body.code, "recipient_not_found");
+});
+
+test("replays a retried callId instead of ringing again", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+
+  const first = await invite("u1", "bob");
+  const retry = await invite("u1", "bob");
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(sentTo(fcmTokenFor("bob")).length, 1);
+
+  const changed = await invite("u1", "bob", { callType: "audio" });
+  assert.equal(changed.status, 409);
+  assert.equal(changed.body.code, "call_id_conflict");
+});
+
+test("refuses a channel that is already in use", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"], ["u4", "dave"]);
+
+  await invite("u1", "bob");
+  const res = await invite("u3", "dave", { callId: "call-2" });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, "channel_in_use");
+  assert.equal((await readRoom("room-1")).callerUid, "u1");
+});
+
+test("serves the old invitation paths with the same checks", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"], ["u4", "dave"]);
+  await invite("u1", "bob");
+
+  for (const name of ["sendCallInvitationOld", "sendCallInvitation_working"]) {
+    const takeover = await api(name, { as: "u3", body: { callId: `take-${name}`, channelName: "room-1", recipientId: "dave" } });
+    assert.equal(takeover.status, 409, name);
+    assert.equal(takeover.body.code, "channel_in_use", name);
+  }
+  assert.equal((await readRoom("room-1")).callerUid, "u1");
+
+  const res = await api("sendCallInvitationOld", { as: "u3", body: { callId: "call-2", channelName: "room-2", recipientId: "dave" } });
+  assert.equal(res.status, 200);
+  assert.equal((await readRoom("room-2")).callerUid, "u3");
+});
+
+test("refuses busy callers and recipients", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+
+  await invite("u1", "bob");
+  const callerBusy = await invite("u1", "carol", { callId: "call-2", channelName: "room-2" });
+  assert.equal(callerBusy.status, 409);
+  assert.equal(callerBusy.body.code, "caller_busy");
+
+  const recipientBusy = await invite("u3", "bob", { callId: "call-3", channelName: "room-3" });
+  assert.equal(recipientBusy.status, 409);
+  assert.equal(recipientBusy.body.code, "busy");
+  assert.equal(sentTo(fcmTokenFor("bob")).length, 1);
+});
+
+test("does not count a stale room from before ring timeouts as busy", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await seedRoom("old-room", {
+    channelName: "old-room", callId: "old", callerUid: "u1", recipientId: "carol",
+    isActive: true, createdAt: Date.now() - 60 * 60 * 1000,
+  });
+
+  const res = await invite("u1", "bob");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ringing");
+});
+
+test("does not ring a recipient who blocked the caller", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  assert.equal((await api("blockUser", { as: "u2", body: { username: "alice" } })).status, 200);
+
+  const res = await invite("u1", "bob");
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "blocked");
+  assert.equal(sentTo(fcmTokenFor("bob")).length, 0);
+  assert.equal(await readRoom("room-1"), null);
+});
+
+test("sends a missed-call notification instead of ringing during do-not-disturb", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  assert.equal((await api("updateCallSettings", { as: "u2", body: { doNotDisturb: true } })).status, 200);
+
+  const res = await invite("u1", "bob");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "missed");
+  assert.equal(res.body.recipient.suppressed, "do_not_disturb");
+
+  const [push] = sentTo(fcmTokenFor("bob"));
+  assert.equal(push.message.data.type, "missed_call");
+  assert.deepEqual((await readRoom("room-1")).missedUids, ["u2"]);
+});
+
+test("starts a group call for a list of recipients", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+
+  const res = await invite("u1", undefined, { recipientIds: ["bob", "carol"] });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.isGroup, true);
+  assert.equal(res.body.recipients.length, 2);
+
+  const room = await readRoom("room-1");
+  assert.equal(room.participants.u1.state, "joined");
+  assert.equal(room.participants.u2.state, "ringing");
+  assert.equal(room.participants.u3.state, "ringing");
+  assert.equal(JSON.parse(sentTo(fcmTokenFor("carol"))[0].message.data.extra).participantCount, 3);
+});
@@ -0,0 +1,74 @@
+// test/server.test.js
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { join } from "node:path";
+import { test } from "node:test";
+import { pathToFileURL } from "node:url";
+import { promisify } from "node:util";
+import { api, API_DIR, get, setupApi } from "./helpers.js";
+import { resolveEnvironment } from "../lib/config.js";
+import { discoverHandlers } from "../lib/server.js";
+
+setupApi();
+
+const GET_HANDLERS = new Set(["blockedUsers", "callHistory", "missedCallCount", "sweepMissedCalls", "token"]);
+
+test("every api handler is mounted and requires authentication", async () => {
+  const handlers = await discoverHandlers(API_DIR);
+  assert.ok(handlers.length >= 20);
+  assert.equal((await get("/health")).body.handlers, handlers.length);
+
+  for (const name of handlers) {
+    const method = GET_HANDLERS.has(name) ? "GET" : "POST";
+    const res = await api(name, { method, body: method === "POST" ? {} : undefined });
+    assert.equal(res.status, 401, name);
+    assert.equal(res.body.code, "unauthenticated", name);
+  }
+});
+
+test("every api module imports without credentials or settings", async () => {
+  const urls = (await discoverHandlers(API_DIR)).map((name) => pathToFileURL(join(API_DIR, `${name}.js`)).href);
+  const script = `for (const url of ${JSON.stringify(urls)}) await import(url);`;
+
+  // A clean environment: no service account, emulator, Agora or APNs settings.
+  await promisify(execFile)(process.execPath, ["--input-type=module", "-e", script], {
+    env: { PATH: process.env.PATH },
+    timeout: 30000,
+  });
+});
+
+test("runs as production unless an environment is named", () => {
+  assert.equal(resolveEnvironment({}), "production");
+  assert.equal(resolveEnvironment({ NODE_ENV: "development" }), "development");
+  assert.equal(resolveEnvironment({ APP_ENV: "preview", NODE_ENV: "development" }), "preview");
+});
+
+test("rejects invalid ID tokens", async () => {
+  const res = await api("blockedUsers", { method: "GET", headers: { authorization: "Bearer forged" } });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "unauthenticated");
+});
+
+test("answers errors in the shared { code, message, details } shape", async () => {
+  const missing = await api("nope");
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.body, { code: "not_found", message: "Not found", details: null });
+
+  const json = await api("blockUser", { as: "u1", headers: { "content-type": "application/json" }, rawBody: "{oops" });
+  assert.equal(json.status, 400);
+  assert.equal(json.body.code, "invalid_json");
+
+  const wrongMethod = await api("blockUser", { method: "GET", as: "u1" });
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.body.code, "method_not_allowed");
+  assert.equal(wrongMethod.headers.get("allow"), "POST, OPTIONS");
+});
+
+test("answers preflight requests and echoes the request id", async () => {
+  const preflight = await api("sendCallInvitation", { method: "OPTIONS" });
+  assert.equal(preflight.status, 204);
+
+  const res = await api("blockedUsers", { method: "GET", as: "u1", headers: { "x-request-id": "req-123" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-request-id"), "req-123");
+});
@@ -0,0 +1,67 @@
+// test/tokens.test.js
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { api, invite, seedUsers, setupApi } from "./helpers.js";
+import { agoraUidFor } from "../lib/agora.js";
+
+setupApi();
+
+test("token issues an RTC token bound to a participant's own uid", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await invite("u1", "bob");
+
+  const res = await api("token", { method: "GET", as: "u2", query: { channel: "room-1" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.channelName, "room-1");
+  assert.equal(res.body.uid, agoraUidFor("u2"));
+  assert.equal(res.body.role, "speaker");
+  assert.ok(res.body.token.length > 20);
+  assert.ok(res.body.expires_in > 0);
+
+  const otherUid = await api("token", { method: "GET", as: "u2", query: { channel: "room-1", uid: agoraUidFor("u1") } });
+  assert.equal(otherUid.status, 403);
+  assert.equal(otherUid.body.code, "uid_mismatch");
+});
+
+test("token refuses non-participants and finished calls", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"], ["u3", "carol"]);
+  await invite("u1", "bob");
+
+  const outsider = await api("token", { method: "GET", as: "u3", query: { channel: "room-1" } });
+  assert.equal(outsider.status, 403);
+  assert.equal(outsider.body.code, "not_participant");
+
+  await api("cancelCall", { as: "u1", body: { channelName: "room-1" } });
+  const cancelled = await api("token", { method: "GET", as: "u1", query: { channel: "room-1" } });
+  assert.equal(cancelled.status, 409);
+  assert.equal(cancelled.body.code, "call_not_active");
+
+  const noChannel = await api("token", { method: "GET", as: "u1" });
+  assert.equal(noChannel.status, 400);
+  assert.equal(noChannel.body.code, "invalid_request");
+});
+
+test("token issues RTM tokens without a channel", async () => {
+  await seedUsers(["u1", "alice"]);
+
+  const res = await api("token", { method: "GET", as: "u1", query: { type: "rtm", format: "007" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.rtm.userId, "u1");
+  assert.ok(res.body.rtm.token);
+});
+
+test("renewToken counts renewals per participant", async () => {
+  await seedUsers(["u1", "alice"], ["u2", "bob"]);
+  await invite("u1", "bob");
+  await api("acceptCall", { as: "u2", body: { channelName: "room-1" } });
+
+  const first = await api("renewToken", { as: "u2", body: { channelName: "room-1" } });
+  const second = await api("renewToken", { as: "u2", body: { channelName: "room-1", format: "007" } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.renewals, 1);
+  assert.equal(second.body.renewals, 2);
+  assert.equal(second.body.format, "007");
+
+  const outsider = await api("renewToken", { as: "u3", body: { channelName: "room-1" } });
+  assert.equal(outsider.status, 403);
+});